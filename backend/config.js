@@ -3,24 +3,65 @@ const path = require('path');
 // Load environment variables (once for the entire app)
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
+// Storage backend: 'json' (one lowdb file, DB_PATH) or 'sqlite' (SQLITE_PATH)
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+const STORAGE = (process.env.STORAGE || 'json').toLowerCase();
+
 // Resolved paths
 const DB_PATH = path.resolve(process.env.DB_PATH || path.join(__dirname, 'db.json'));
+const SQLITE_PATH = path.resolve(process.env.SQLITE_PATH || path.join(path.dirname(DB_PATH), 'klar.sqlite'));
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), 'backups'));
 const VIEWS_DIR = path.join(__dirname, '..', 'views');
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 
+// LLM provider: 'openai' (OpenAI or any OpenAI-compatible server) or 'mock' (offline, deterministic)
+const LLM_PROVIDERS = ['openai', 'mock'];
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+// Model prices in USD per million tokens, e.g. {"gpt-5.2": {"input": 1.25, "output": 10}}
+let LLM_PRICES;
+try {
+    LLM_PRICES = JSON.parse(process.env.LLM_PRICES || '{}');
+} catch {
+    throw new Error('LLM_PRICES must be JSON, e.g. {"gpt-5.2": {"input": 1.25, "output": 10}}.');
+}
+
 // Validate required environment variables
-if (!process.env.OPENAI_TOKEN) {
-    throw new Error('OPENAI_TOKEN environment variable is required. Please set it in your .env file.');
+if (!STORAGE_BACKENDS.includes(STORAGE)) {
+    throw new Error(`STORAGE must be one of: ${STORAGE_BACKENDS.join(', ')}.`);
+}
+if (!LLM_PROVIDERS.includes(LLM_PROVIDER)) {
+    throw new Error(`LLM_PROVIDER must be one of: ${LLM_PROVIDERS.join(', ')}.`);
+}
+if (Object.values(LLM_PRICES).some(price => typeof price?.input !== 'number' || typeof price?.output !== 'number')) {
+    throw new Error('LLM_PRICES must give an input and an output price per model.');
 }
-if (!process.env.MODEL) {
-    throw new Error('MODEL environment variable is required. Please set it in your .env file.');
+if (LLM_PROVIDER === 'openai') {
+    if (!process.env.OPENAI_TOKEN && !process.env.OPENAI_BASE_URL) {
+        throw new Error('OPENAI_TOKEN environment variable is required. Please set it in your .env file.');
+    }
+    if (!process.env.MODEL) {
+        throw new Error('MODEL environment variable is required. Please set it in your .env file.');
+    }
 }
 
 module.exports = {
+    LLM_PROVIDER,
     OPENAI_TOKEN: process.env.OPENAI_TOKEN,
-    MODEL: process.env.MODEL,
+    OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || undefined,
+    MODEL: process.env.MODEL || LLM_PROVIDER,
+    STORAGE,
     DB_PATH,
+    SQLITE_PATH,
+    BACKUP_DIR,
     VIEWS_DIR,
     PUBLIC_DIR,
     PORT: parseInt(process.env.PORT, 10) || 3000,
+    // Background jobs (services/jobs.js): how many run at once, and how long one try may take
+    JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    JOB_TIMEOUT_SECONDS: parseInt(process.env.JOB_TIMEOUT_SECONDS, 10) || 120,
+    // LLM costs (services/usage.js): price table and spending limits in USD (0 = no limit)
+    LLM_PRICES,
+    BUDGET_DAILY_USD: parseFloat(process.env.BUDGET_DAILY_USD) || 0,
+    BUDGET_MONTHLY_USD: parseFloat(process.env.BUDGET_MONTHLY_USD) || 0,
 };
@@ -0,0 +1,51 @@
+/**
+ * Klar – Copy a JSON database into SQLite (one-shot)
+ *
+ * Usage: npm run migrate:sqlite -- [source.json] [target.sqlite] [--force]
+ * Defaults to DB_PATH and SQLITE_PATH. The source is upgraded to the current schema
+ * on the way and left untouched; a target that already holds data is only
+ * overwritten with --force. Afterwards start Klar with STORAGE=sqlite.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH, SQLITE_PATH } = require('./config');
+const migrations = require('./migrations');
+const { COLLECTIONS, openStorage } = require('./storage');
+
+async function main(args) {
+    const force = args.includes('--force');
+    const [source = DB_PATH, target = SQLITE_PATH] = args.filter(arg => arg !== '--force').map(arg => path.resolve(arg));
+
+    const data = JSON.parse(await fs.promises.readFile(source, 'utf8'));
+    const { from, to } = migrations.migrate(data);
+
+    const storage = await openStorage({ backend: 'sqlite', path: target, version: migrations.SCHEMA_VERSION });
+    try {
+        const existing = await storage.dump();
+        if (!force && Object.keys(COLLECTIONS).some(name => existing[name].length)) {
+            throw new Error(`${target} already contains data (use --force to overwrite)`);
+        }
+
+        await storage.load(data);
+
+        const copied = await storage.dump();
+        const counts = Object.keys(COLLECTIONS).map(name => {
+            const expected = (data[name] || []).length;
+            if (copied[name].length !== expected) {
+                throw new Error(`${name}: ${copied[name].length} of ${expected} records copied`);
+            }
+            return `${name}: ${copied[name].length}`;
+        });
+
+        console.log(`✅ ${source} (schema v${from}) → ${target} (schema v${to})`);
+        console.log(`   ${counts.join(', ')}`);
+        console.log('   Start Klar with STORAGE=sqlite to use the new database.');
+    } finally {
+        await storage.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
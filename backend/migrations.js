@@ -0,0 +1,249 @@
+/**
+ * Klar – Database schema versions and migrations
+ *
+ * The database file (and every JSON backup) carries a `schemaVersion`. Files
+ * without one predate versioning (version 0). On startup and on import, all
+ * migrations above the file's version run in order, so later code can rely on
+ * every field being present.
+ *
+ * A feature that adds or changes a stored field adds a migration here and
+ * bumps SCHEMA_VERSION. Migrations must be idempotent (only fill what is missing).
+ */
+const { extractContentPoints } = require('./services/content-points');
+const corrections = require('./services/corrections');
+
+// Error codes (Node.js convention)
+const SCHEMA_TOO_NEW = 'SCHEMA_TOO_NEW';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/** Review fields shared by contents and attempts */
+function fillReviewFields(record) {
+    record.task ??= '';
+    record.submissionText ??= '';
+    record.reviewScore ??= null;
+    record.reviewFeedback ??= '';
+    record.correction ??= '';
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Documents and contents',
+        up(data) {
+            data.documents ||= [];
+            data.contents ||= [];
+            data.contents.forEach(fillReviewFields);
+        },
+    },
+    {
+        version: 2,
+        description: 'Attempt history',
+        up(data) {
+            data.attempts ||= [];
+        },
+    },
+    {
+        version: 3,
+        description: 'Criteria scores and structured edits',
+        up(data) {
+            [...data.contents, ...data.attempts].forEach(record => {
+                fillReviewFields(record);
+                record.reviewCriteria ??= null;
+                record.edits ??= null;
+            });
+        },
+    },
+    {
+        version: 4,
+        description: 'Exam mode',
+        up(data) {
+            data.documents.forEach(doc => {
+                doc.mode ??= 'practice';
+                if (doc.mode === 'exam') {
+                    doc.durationMinutes ??= 30; // the only duration when exam mode was introduced
+                    doc.startedAt ??= null;
+                    doc.submittedAt ??= null;
+                    doc.autoSubmitted ??= false;
+                }
+            });
+        },
+    },
+    {
+        version: 5,
+        description: 'Mistake deck',
+        up(data) {
+            data.cards ||= [];
+        },
+    },
+    {
+        version: 6,
+        description: 'User accounts and sessions',
+        up(data) {
+            // Documents without owner stay unowned until the first account claims them
+            data.users ||= [];
+            data.sessions ||= [];
+        },
+    },
+    {
+        version: 7,
+        description: 'Document tags',
+        up(data) {
+            data.documents.forEach(doc => {
+                doc.tags ??= [];
+            });
+        },
+    },
+    {
+        version: 8,
+        description: 'Background jobs',
+        up(data) {
+            data.jobs ||= [];
+        },
+    },
+    {
+        version: 9,
+        description: 'Review cache',
+        up(data) {
+            data.reviewCache ||= [];
+        },
+    },
+    {
+        version: 10,
+        description: 'Token usage log',
+        up(data) {
+            data.usage ||= [];
+        },
+    },
+    {
+        version: 11,
+        description: 'Exam profiles',
+        up(data) {
+            data.documents.forEach(doc => {
+                doc.profile ??= 'telc-b1-email'; // the only exam before profiles were introduced
+            });
+        },
+    },
+    {
+        version: 12,
+        description: 'Versioned prompt templates',
+        up(data) {
+            data.prompts ||= [];
+            [...data.contents, ...data.attempts].forEach(record => {
+                record.promptVersion ??= null; // reviewed before prompts were versioned
+            });
+        },
+    },
+    {
+        version: 13,
+        description: 'Content points and their coverage',
+        up(data) {
+            data.contents.forEach(content => {
+                content.contentPoints ??= extractContentPoints(content.task);
+            });
+            [...data.contents, ...data.attempts].forEach(record => {
+                record.contentCoverage ??= null;
+            });
+        },
+    },
+    {
+        version: 14,
+        description: 'Model answers',
+        up(data) {
+            data.contents.forEach(content => {
+                content.modelAnswer ??= null;
+            });
+        },
+    },
+    {
+        version: 15,
+        description: 'Exercise bank',
+        up(data) {
+            data.exercises ||= [];
+            data.documents.forEach(doc => {
+                doc.topic ??= null;
+                doc.exerciseId ??= null;
+            });
+        },
+    },
+    {
+        version: 16,
+        description: 'Edits the review could not anchor in the submission',
+        up(data) {
+            [...data.contents, ...data.attempts].forEach(record => {
+                record.droppedEdits ??= null;
+            });
+        },
+    },
+    {
+        version: 17,
+        description: 'Built-in prompt versions',
+        up(data) {
+            // Backups do not contain prompts; those stay with the instance they were made on
+            data.prompts ||= [];
+            data.prompts.forEach(prompt => {
+                prompt.builtin ??= prompt.createdBy == null; // versions stored without an author are the defaults
+            });
+        },
+    },
+    {
+        version: 18,
+        description: 'Edits cover whole words',
+        up(data) {
+            [...data.contents, ...data.attempts].forEach(record => {
+                if (!Array.isArray(record.edits)) return;
+                record.edits = record.edits.map(edit => corrections.widenEdit(record.submissionText ?? '', edit));
+            });
+            // Cached reviews do not keep the text; their markup still contains it
+            (data.reviewCache || []).forEach(({ review }) => {
+                if (!Array.isArray(review?.edits)) return;
+                const text = corrections.toSegments({ correction: review.correction })
+                    .filter(seg => seg.type !== 'added').map(seg => seg.text).join('');
+                review.edits = review.edits.map(edit => corrections.widenEdit(text, edit));
+            });
+        },
+    },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/** Schema version of a database or backup object (0 if unversioned) */
+function versionOf(data) {
+    return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Upgrade a database or backup object in place to SCHEMA_VERSION
+ * @param {Object} data - Parsed database file or backup
+ * @returns {{from: number, to: number, applied: Array<string>}} Descriptions of the migrations that ran
+ * @throws {Error} code=SCHEMA_TOO_NEW if the data was written by a newer version of Klar
+ */
+function migrate(data) {
+    const from = versionOf(data);
+    if (from > SCHEMA_VERSION) {
+        throw createError(SCHEMA_TOO_NEW,
+            `Datenbankschema v${from} ist neuer als diese Klar-Version (v${SCHEMA_VERSION})`);
+    }
+
+    // A backup can leave out collections that the migrations below its version would have created
+    data.documents ||= [];
+    data.contents ||= [];
+    data.attempts ||= [];
+
+    const pending = MIGRATIONS.filter(m => m.version > from);
+    pending.forEach(m => m.up(data));
+    data.schemaVersion = SCHEMA_VERSION;
+
+    return { from, to: SCHEMA_VERSION, applied: pending.map(m => `v${m.version}: ${m.description}`) };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SCHEMA_TOO_NEW,
+    versionOf,
+    migrate,
+};
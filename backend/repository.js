@@ -1,13 +1,23 @@
-const { Low } = require('lowdb');
-const { JSONFile } = require('lowdb/node');
-const { DB_PATH } = require('./config');
+const fs = require('fs');
+const path = require('path');
+const { BACKUP_DIR } = require('./config');
+const migrations = require('./migrations');
+const { openStorage } = require('./storage');
 
-const adapter = new JSONFile(DB_PATH);
-const db = new Low(adapter, { documents: [], contents: [] });
+/** Automatic backups kept in BACKUP_DIR */
+const MAX_BACKUPS = 20;
+
+/** Storage backend (see storage/index.js), opened by initializeDatabase() */
+let storage = null;
 
 // Error codes (Node.js convention)
 const DUPLICATE_DOCUMENT = 'DUPLICATE_DOCUMENT';
 const DOCUMENT_NOT_FOUND = 'DOCUMENT_NOT_FOUND';
+const CARD_NOT_FOUND = 'CARD_NOT_FOUND';
+const DUPLICATE_USER = 'DUPLICATE_USER';
+const USER_NOT_FOUND = 'USER_NOT_FOUND';
+const JOB_NOT_FOUND = 'JOB_NOT_FOUND';
+const PROMPT_VERSION_NOT_FOUND = 'PROMPT_VERSION_NOT_FOUND';
 
 function createError(code, message) {
     const error = new Error(message);
@@ -20,12 +30,32 @@ function sortByNewest(docs) {
     return docs.slice().sort((a, b) => new Date(b.creationDate) - new Date(a.creationDate));
 }
 
+/** Content of each document (empty object if none), by document ID */
+async function contentsOf(documents) {
+    const contents = await Promise.all(documents.map(doc => storage.findOne('contents', { documentId: doc.id })));
+    return new Map(documents.map((doc, i) => [doc.id, contents[i] || {}]));
+}
+
 /**
- * Initialize the database on startup
+ * Initialize the database on startup: open the configured storage backend and
+ * upgrade older data to the current schema (after writing a backup of it)
+ * @throws {Error} code=migrations.SCHEMA_TOO_NEW if the data is from a newer version
  */
 async function initializeDatabase() {
-    await db.read();
-    console.log('💾 Database initialized successfully');
+    storage = await openStorage({ version: migrations.SCHEMA_VERSION });
+
+    const data = await storage.dump();
+    const version = migrations.versionOf(data);
+    if (version !== migrations.SCHEMA_VERSION) {
+        if (version < migrations.SCHEMA_VERSION) {
+            await backupDatabase();
+        }
+        const { from, to, applied } = migrations.migrate(data);
+        await storage.load(data);
+        console.log(`🔧 Database migrated from schema v${from} to v${to}:\n   ${applied.join('\n   ')}`);
+    }
+
+    console.log(`💾 Database initialized successfully (${storage.backend})`);
 }
 
 // ==================== DOCUMENT OPERATIONS ====================
@@ -35,11 +65,17 @@ async function initializeDatabase() {
  * @param {Object} options - Pagination options
  * @param {number} [options.page=1] - Page number (1-based)
  * @param {number} [options.limit=5] - Items per page
+ * @param {string} [options.userId] - Only documents owned by this user
+ * @param {(document: Object, content: Object) => boolean} [options.where] - Extra filter (see services/search)
  * @returns {Promise<{documents: Array, page: number, limit: number, totalItems: number, totalPages: number}>}
  */
-async function getDocuments({ page = 1, limit = 5 } = {}) {
-    await db.read();
-    const allDocuments = sortByNewest(db.data.documents || []);
+async function getDocuments({ page = 1, limit = 5, userId, where } = {}) {
+    let documents = await storage.find('documents', { userId });
+    if (where) {
+        const contents = await contentsOf(documents);
+        documents = documents.filter(doc => where(doc, contents.get(doc.id)));
+    }
+    const allDocuments = sortByNewest(documents);
     const totalItems = allDocuments.length;
     const totalPages = Math.max(1, Math.ceil(totalItems / limit));
     const safePage = Math.max(1, Math.min(page, totalPages));
@@ -57,58 +93,116 @@ async function getDocuments({ page = 1, limit = 5 } = {}) {
 /**
  * Get a document by ID
  * @param {string} id - Document ID
+ * @param {string} [userId] - Only if owned by this user
  * @returns {Promise<{id: string, title: string, creationDate: string}|null>}
  */
-async function getDocument(id) {
-    await db.read();
-    return db.data.documents.find(doc => doc.id === id) || null;
+async function getDocument(id, userId) {
+    return storage.findOne('documents', { id, userId });
+}
+
+/**
+ * All tags used by a user's documents, with the number of documents per tag.
+ * Tags differing only in case are counted together under their first spelling.
+ * @param {string} [userId]
+ * @returns {Promise<Array<{tag: string, count: number}>>} Sorted alphabetically
+ */
+async function getTags(userId) {
+    const tags = new Map();
+    (await storage.find('documents', { userId })).forEach(doc => {
+        (doc.tags || []).forEach(tag => {
+            const key = tag.toLocaleLowerCase('de-DE');
+            const entry = tags.get(key) || { tag, count: 0 };
+            entry.count++;
+            tags.set(key, entry);
+        });
+    });
+    return [...tags.values()].sort((a, b) => a.tag.localeCompare(b.tag, 'de'));
 }
 
 /**
  * Create a new document
  * @param {string} title - Document title
- * @returns {Promise<{id: string, title: string, creationDate: string}>} Created document
- * @throws {Error} code=DUPLICATE_DOCUMENT if title already exists
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Owner of the document
+ * @param {'practice'|'exam'} [options.mode='practice'] - Exam mode runs against a clock
+ * @param {number} [options.durationMinutes] - Time limit in exam mode
+ * @param {string} [options.profile='telc-b1-email'] - Exam profile (see services/profiles.js)
+ * @param {string} [options.topic] - Short description of the scenario (generated and bank exercises)
+ * @param {string} [options.exerciseId] - Exercise bank task the document was drawn from
+ * @returns {Promise<{id: string, title: string, creationDate: string, mode: string, profile: string}>} Created document
+ * @throws {Error} code=DUPLICATE_DOCUMENT if the owner already has a document with this title
  */
-async function createDocument(title) {
-    await db.read();
+async function createDocument(title, {
+    userId, mode = 'practice', durationMinutes, profile = 'telc-b1-email', topic = null, exerciseId = null,
+} = {}) {
+    return storage.transaction(async tx => {
+        if ((await tx.find('documents', { userId })).some(doc => doc.title === title)) {
+            throw createError(DUPLICATE_DOCUMENT, 'Document with this title already exists');
+        }
 
-    if (db.data.documents.some(doc => doc.title === title)) {
-        throw createError(DUPLICATE_DOCUMENT, 'Document with this title already exists');
-    }
+        const document = {
+            id: generateId(),
+            userId,
+            title,
+            creationDate: new Date().toISOString(),
+            mode,
+            profile,
+            tags: [],
+            topic,
+            exerciseId,
+        };
 
-    const document = {
-        id: generateId(),
-        title,
-        creationDate: new Date().toISOString(),
-    };
+        if (mode === 'exam') {
+            Object.assign(document, {
+                durationMinutes,
+                startedAt: null,
+                submittedAt: null,
+                autoSubmitted: false,
+            });
+        }
 
-    db.data.documents.push(document);
-    await db.write();
-    return document;
+        await tx.put('documents', document);
+        return document;
+    });
 }
 
 /**
- * Delete a document and its associated content
+ * Update fields of an existing document
  * @param {string} id - Document ID
+ * @param {Object} changes - Fields to overwrite (id, owner and creationDate are kept)
+ * @returns {Promise<Object>} Updated document
  * @throws {Error} code=DOCUMENT_NOT_FOUND if not found
  */
-async function deleteDocument(id) {
-    await db.read();
-
-    const docIndex = db.data.documents.findIndex(doc => doc.id === id);
-    if (docIndex === -1) {
-        throw createError(DOCUMENT_NOT_FOUND, 'Document not found');
-    }
+async function updateDocument(id, changes) {
+    return storage.transaction(async tx => {
+        const document = await tx.findOne('documents', { id });
+        if (!document) {
+            throw createError(DOCUMENT_NOT_FOUND, 'Document not found');
+        }
 
-    db.data.documents.splice(docIndex, 1);
+        const { id: _id, userId: _userId, creationDate: _creationDate, ...rest } = changes;
+        Object.assign(document, rest);
+        await tx.put('documents', document);
+        return document;
+    });
+}
 
-    const contentIndex = db.data.contents.findIndex(c => c.documentId === id);
-    if (contentIndex !== -1) {
-        db.data.contents.splice(contentIndex, 1);
-    }
+/**
+ * Delete a document and its associated content
+ * @param {string} id - Document ID
+ * @param {string} [userId] - Only if owned by this user
+ * @throws {Error} code=DOCUMENT_NOT_FOUND if not found
+ */
+async function deleteDocument(id, userId) {
+    await storage.transaction(async tx => {
+        if (!(await tx.findOne('documents', { id, userId }))) {
+            throw createError(DOCUMENT_NOT_FOUND, 'Document not found');
+        }
 
-    await db.write();
+        await tx.remove('documents', { id });
+        await tx.remove('contents', { documentId: id });
+        await tx.remove('attempts', { documentId: id });
+    });
 }
 
 /** Generate a unique ID */
@@ -124,8 +218,7 @@ function generateId() {
  * @returns {Promise<Object>} Content object or empty object if not found
  */
 async function getContent(documentId) {
-    await db.read();
-    return db.data.contents.find(c => c.documentId === documentId) || {};
+    return (await storage.findOne('contents', { documentId })) || {};
 }
 
 /**
@@ -135,8 +228,6 @@ async function getContent(documentId) {
  * @throws {Error} If documentId is missing
  */
 async function upsertContent(upsertContentCommand) {
-    await db.read();
-
     if (!upsertContentCommand.documentId) {
         throw new Error('Missing documentId in content');
     }
@@ -146,53 +237,730 @@ async function upsertContent(upsertContentCommand) {
         task: upsertContentCommand.task ?? '',
         submissionText: upsertContentCommand.submissionText ?? '',
         reviewScore: upsertContentCommand.reviewScore ?? null,
+        reviewCriteria: upsertContentCommand.reviewCriteria ?? null,
         reviewFeedback: upsertContentCommand.reviewFeedback ?? '',
         correction: upsertContentCommand.correction ?? '',
+        edits: upsertContentCommand.edits ?? null,
+        droppedEdits: upsertContentCommand.droppedEdits ?? null,
+        contentPoints: upsertContentCommand.contentPoints ?? [],
+        contentCoverage: upsertContentCommand.contentCoverage ?? null,
+        promptVersion: upsertContentCommand.promptVersion ?? null,
+        modelAnswer: upsertContentCommand.modelAnswer ?? null,
     };
 
-    const index = db.data.contents.findIndex(
-        c => c.documentId === upsertContentCommand.documentId
-    );
+    await storage.put('contents', content);
+}
 
-    if (index !== -1) {
-        db.data.contents.splice(index, 1, content);
-    } else {
-        db.data.contents.push(content);
+// ==================== ATTEMPT OPERATIONS ====================
+
+/**
+ * Record a reviewed submission as the next numbered attempt of a document
+ * @param {Object} addAttemptCommand
+ * @param {string} addAttemptCommand.documentId - Required
+ * @returns {Promise<Object>} The stored attempt including its number
+ * @throws {Error} If documentId is missing
+ */
+async function addAttempt(addAttemptCommand) {
+    if (!addAttemptCommand.documentId) {
+        throw new Error('Missing documentId in attempt');
     }
 
-    await db.write();
+    return storage.transaction(async tx => {
+        const previous = await tx.find('attempts', { documentId: addAttemptCommand.documentId });
+
+        const attempt = {
+            documentId: addAttemptCommand.documentId,
+            number: previous.reduce((max, a) => Math.max(max, a.number), 0) + 1,
+            createdAt: new Date().toISOString(),
+            task: addAttemptCommand.task ?? '',
+            submissionText: addAttemptCommand.submissionText ?? '',
+            reviewScore: addAttemptCommand.reviewScore ?? null,
+            reviewCriteria: addAttemptCommand.reviewCriteria ?? null,
+            reviewFeedback: addAttemptCommand.reviewFeedback ?? '',
+            correction: addAttemptCommand.correction ?? '',
+            edits: addAttemptCommand.edits ?? null,
+            droppedEdits: addAttemptCommand.droppedEdits ?? null,
+            contentCoverage: addAttemptCommand.contentCoverage ?? null,
+            promptVersion: addAttemptCommand.promptVersion ?? null,
+        };
+
+        await tx.put('attempts', attempt);
+        return attempt;
+    });
+}
+
+/**
+ * Get all attempts of a document (oldest first)
+ * @param {string} documentId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAttempts(documentId) {
+    return (await storage.find('attempts', { documentId })).sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Get a single attempt of a document by its number
+ * @param {string} documentId
+ * @param {number} number - Attempt number (1-based)
+ * @returns {Promise<Object|null>}
+ */
+async function getAttempt(documentId, number) {
+    return storage.findOne('attempts', { documentId, number });
+}
+
+// ==================== CARD OPERATIONS ====================
+
+/**
+ * Get all cards of the mistake deck
+ * @param {string} [userId] - Only the deck of this user
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCards(userId) {
+    return storage.find('cards', { userId });
+}
+
+/**
+ * Get a card by ID
+ * @param {string} id - Card ID
+ * @param {string} [userId] - Only if owned by this user
+ * @returns {Promise<Object|null>}
+ */
+async function getCard(id, userId) {
+    return storage.findOne('cards', { id, userId });
+}
+
+/**
+ * Add cards to their owners' decks. A card whose `key` is already in the
+ * owner's deck only counts another occurrence of that mistake on the existing card.
+ * @param {Array<Object>} cards - New cards, each with a `key` and `userId`
+ * @returns {Promise<number>} Number of cards actually added
+ */
+async function addCards(cards) {
+    return storage.transaction(async tx => {
+        let added = 0;
+        for (const card of cards) {
+            const existing = await tx.findOne('cards', { userId: card.userId ?? null, key: card.key });
+            if (existing) {
+                if (!existing.sources.includes(card.sources[0])) {
+                    existing.sources.push(card.sources[0]);
+                    await tx.put('cards', existing);
+                }
+                continue;
+            }
+            await tx.put('cards', { id: generateId(), ...card });
+            added++;
+        }
+        return added;
+    });
+}
+
+/**
+ * Update fields of a card
+ * @param {string} id - Card ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} Updated card
+ * @throws {Error} code=CARD_NOT_FOUND if not found
+ */
+async function updateCard(id, changes) {
+    return storage.transaction(async tx => {
+        const card = await tx.findOne('cards', { id });
+        if (!card) {
+            throw createError(CARD_NOT_FOUND, 'Card not found');
+        }
+
+        Object.assign(card, changes, { id });
+        await tx.put('cards', card);
+        return card;
+    });
 }
 
 /**
  * Get all documents with their associated content (for export/PDF)
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only documents owned by this user
  * @returns {Promise<Array<Object>>}
  */
-async function getAllDocumentsWithContent() {
-    await db.read();
-    return sortByNewest(db.data.documents || []).map(doc => {
-        const content = (db.data.contents || []).find(c => c.documentId === doc.id) || {};
+async function getAllDocumentsWithContent({ userId } = {}) {
+    const documents = sortByNewest(await storage.find('documents', { userId }));
+    const contents = await contentsOf(documents);
+    const attempts = await Promise.all(documents.map(doc => getAttempts(doc.id)));
+    return documents.map((doc, i) => {
+        const content = contents.get(doc.id);
         return {
             id: doc.id,
+            userId: doc.userId,
             title: doc.title,
             creationDate: doc.creationDate,
+            mode: doc.mode || 'practice',
+            profile: doc.profile ?? null,
+            tags: doc.tags || [],
+            durationMinutes: doc.durationMinutes ?? null,
+            startedAt: doc.startedAt ?? null,
+            submittedAt: doc.submittedAt ?? null,
+            autoSubmitted: !!doc.autoSubmitted,
             task: content.task || '',
             submissionText: content.submissionText || '',
             reviewScore: content.reviewScore ?? null,
+            reviewCriteria: content.reviewCriteria ?? null,
             reviewFeedback: content.reviewFeedback || '',
             correction: content.correction || '',
+            edits: content.edits ?? null,
+            contentPoints: content.contentPoints ?? [],
+            contentCoverage: content.contentCoverage ?? null,
+            promptVersion: content.promptVersion ?? null,
+            modelAnswer: content.modelAnswer ?? null,
+            attempts: attempts[i],
         };
     });
 }
 
+// ==================== USER OPERATIONS ====================
+
+/** Strip the password hash before handing a user to callers */
+function publicUser(user) {
+    if (!user) return null;
+    const { passwordHash: _passwordHash, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Get all users (without password hashes)
+ * @returns {Promise<Array<{id: string, username: string, role: string, createdAt: string}>>}
+ */
+async function getUsers() {
+    return (await storage.find('users')).map(publicUser);
+}
+
+/**
+ * Get a user by ID (without password hash)
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>}
+ */
+async function getUser(id) {
+    return publicUser(await storage.findOne('users', { id }));
+}
+
+/**
+ * Get a user by username including the password hash (for login only)
+ * @param {string} username
+ * @returns {Promise<Object|null>}
+ */
+async function getUserWithPassword(username) {
+    return storage.findOne('users', { username });
+}
+
+/**
+ * Create a new user
+ * @param {Object} createUserCommand
+ * @param {string} createUserCommand.username
+ * @param {string} createUserCommand.passwordHash
+ * @param {'admin'|'user'} [createUserCommand.role='user']
+ * @returns {Promise<Object>} Created user (without password hash)
+ * @throws {Error} code=DUPLICATE_USER if the username is taken
+ */
+async function createUser({ username, passwordHash, role = 'user' }) {
+    return storage.transaction(async tx => {
+        if (await tx.findOne('users', { username })) {
+            throw createError(DUPLICATE_USER, 'Username already exists');
+        }
+
+        const user = {
+            id: generateId(),
+            username,
+            passwordHash,
+            role,
+            createdAt: new Date().toISOString(),
+        };
+
+        await tx.put('users', user);
+        return publicUser(user);
+    });
+}
+
+/**
+ * Update role or password hash of a user
+ * @param {string} id - User ID
+ * @param {Object} changes - {role?, passwordHash?}
+ * @returns {Promise<Object>} Updated user (without password hash)
+ * @throws {Error} code=USER_NOT_FOUND if not found
+ */
+async function updateUser(id, { role, passwordHash }) {
+    return storage.transaction(async tx => {
+        const user = await tx.findOne('users', { id });
+        if (!user) {
+            throw createError(USER_NOT_FOUND, 'User not found');
+        }
+
+        if (role !== undefined) user.role = role;
+        if (passwordHash !== undefined) user.passwordHash = passwordHash;
+        await tx.put('users', user);
+        return publicUser(user);
+    });
+}
+
+/**
+ * Delete a user with all their documents, contents, attempts, cards, sessions, jobs and cached reviews
+ * @param {string} id - User ID
+ * @throws {Error} code=USER_NOT_FOUND if not found
+ */
+async function deleteUser(id) {
+    await storage.transaction(async tx => {
+        if (!(await tx.findOne('users', { id }))) {
+            throw createError(USER_NOT_FOUND, 'User not found');
+        }
+
+        await tx.remove('users', { id });
+        await removeUserData(tx, id);
+        await tx.remove('sessions', { userId: id });
+        await tx.remove('jobs', { userId: id });
+        await tx.remove('reviewCache', { userId: id });
+    });
+}
+
+/** Remove everything a user owns (inside a transaction) */
+async function removeUserData(tx, userId) {
+    for (const document of await tx.find('documents', { userId })) {
+        await tx.remove('contents', { documentId: document.id });
+        await tx.remove('attempts', { documentId: document.id });
+    }
+    await tx.remove('documents', { userId });
+    await tx.remove('cards', { userId });
+}
+
+/**
+ * Assign documents and cards without owner (created before accounts existed) to a user
+ * @param {string} userId
+ * @returns {Promise<number>} Number of documents claimed
+ */
+async function claimUnownedData(userId) {
+    return storage.transaction(async tx => {
+        const documents = await tx.find('documents', { userId: null });
+        for (const document of documents) {
+            await tx.put('documents', { ...document, userId });
+        }
+        for (const card of await tx.find('cards', { userId: null })) {
+            await tx.put('cards', { ...card, userId });
+        }
+        return documents.length;
+    });
+}
+
+// ==================== SESSION OPERATIONS ====================
+
+/**
+ * Store a new login session
+ * @param {Object} session - {id (token), userId, expiresAt}
+ */
+async function createSession(session) {
+    await storage.transaction(async tx => {
+        const now = Date.now();
+        for (const expired of (await tx.find('sessions')).filter(s => new Date(s.expiresAt).getTime() <= now)) {
+            await tx.remove('sessions', { id: expired.id });
+        }
+        await tx.put('sessions', session);
+    });
+}
+
+/**
+ * Get an unexpired session by its token
+ * @param {string} id - Session token
+ * @returns {Promise<Object|null>}
+ */
+async function getSession(id) {
+    const session = await storage.findOne('sessions', { id });
+    return session && new Date(session.expiresAt).getTime() > Date.now() ? session : null;
+}
+
+/**
+ * Delete a session (logout)
+ * @param {string} id - Session token
+ */
+async function deleteSession(id) {
+    await storage.remove('sessions', { id });
+}
+
+// ==================== JOB OPERATIONS ====================
+
+/**
+ * Store a new background job
+ * @param {Object} job - See services/jobs.js
+ * @returns {Promise<Object>} The stored job
+ */
+async function createJob(job) {
+    await storage.put('jobs', job);
+    return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @param {string} [userId] - Only if owned by this user
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id, userId) {
+    return storage.findOne('jobs', { id, userId });
+}
+
+/**
+ * Get jobs, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only jobs of this user
+ * @param {string} [options.status] - Only jobs in this state
+ * @returns {Promise<Array<Object>>}
+ */
+async function getJobs({ userId, status } = {}) {
+    return (await storage.find('jobs', { userId, status }))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Update fields of a job
+ * @param {string} id - Job ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} Updated job
+ * @throws {Error} code=JOB_NOT_FOUND if not found
+ */
+async function updateJob(id, changes) {
+    return storage.transaction(async tx => {
+        const job = await tx.findOne('jobs', { id });
+        if (!job) {
+            throw createError(JOB_NOT_FOUND, 'Job not found');
+        }
+
+        Object.assign(job, changes, { id, updatedAt: new Date().toISOString() });
+        await tx.put('jobs', job);
+        return job;
+    });
+}
+
+/**
+ * Delete finished (done or failed) jobs
+ * @param {string} before - Only jobs finished before this ISO date
+ * @returns {Promise<number>} Number of deleted jobs
+ */
+async function deleteFinishedJobs(before) {
+    return storage.transaction(async tx => {
+        const jobs = [...await tx.find('jobs', { status: 'done' }), ...await tx.find('jobs', { status: 'failed' })]
+            .filter(job => job.finishedAt < before);
+        for (const job of jobs) {
+            await tx.remove('jobs', { id: job.id });
+        }
+        return jobs.length;
+    });
+}
+
+// ==================== REVIEW CACHE OPERATIONS ====================
+
+/**
+ * Get a cached review
+ * @param {string} key - Hash of what was reviewed (see services/review-cache.js)
+ * @returns {Promise<Object|null>} {key, userId, review, createdAt}
+ */
+async function getCachedReview(key) {
+    return storage.findOne('reviewCache', { key });
+}
+
+/**
+ * Store a review in the cache, replacing an older one under the same key
+ * @param {Object} entry - {key, userId, review}
+ */
+async function putCachedReview(entry) {
+    await storage.put('reviewCache', { ...entry, createdAt: new Date().toISOString() });
+}
+
+// ==================== USAGE OPERATIONS ====================
+
+/**
+ * Log one model call
+ * @param {Object} record - See services/usage.js
+ */
+async function addUsage(record) {
+    await storage.put('usage', { id: generateId(), ...record });
+}
+
+/**
+ * Get the logged model calls of a date range, oldest first. Each day is looked up
+ * through the `day` index, so records outside the range are never read.
+ * @param {Object} range
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} [range.to] - Last day (YYYY-MM-DD, inclusive), default today
+ * @returns {Promise<Array<Object>>}
+ */
+async function getUsage({ from, to = new Date().toISOString().slice(0, 10) }) {
+    const records = [];
+    for (let day = from; day <= to; day = nextDay(day)) {
+        records.push(...await storage.find('usage', { day }));
+    }
+    return records.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function nextDay(day) {
+    return new Date(Date.parse(day) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// ==================== PROMPT OPERATIONS ====================
+
+/**
+ * Get all stored versions of a prompt template (oldest first)
+ * @param {string} name - Template name (see services/prompts.js)
+ * @returns {Promise<Array<Object>>} {name, version, template, note, createdAt, createdBy, builtin, active}
+ */
+async function getPromptVersions(name) {
+    return (await storage.find('prompts', { name })).sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Store a new version of a prompt template and make it the active one
+ * @param {Object} addPromptVersionCommand - {name, template, note, createdBy, builtin}
+ * @returns {Promise<Object>} The stored version including its number
+ */
+async function addPromptVersion({ name, template, note = '', createdBy = null, builtin = false }) {
+    return storage.transaction(async tx => {
+        const previous = await tx.find('prompts', { name });
+        for (const version of previous.filter(v => v.active)) {
+            await tx.put('prompts', { ...version, active: false });
+        }
+
+        const version = {
+            name,
+            version: previous.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+            template,
+            note,
+            createdAt: new Date().toISOString(),
+            createdBy,
+            builtin,
+            active: true,
+        };
+        await tx.put('prompts', version);
+        return version;
+    });
+}
+
+/**
+ * Make a stored version of a prompt template the active one (e.g. to roll back an edit)
+ * @param {string} name
+ * @param {number} version
+ * @returns {Promise<Object>} The activated version
+ * @throws {Error} code=PROMPT_VERSION_NOT_FOUND if there is no such version
+ */
+async function activatePromptVersion(name, version) {
+    return storage.transaction(async tx => {
+        const target = await tx.findOne('prompts', { name, version });
+        if (!target) {
+            throw createError(PROMPT_VERSION_NOT_FOUND, `Prompt ${name} has no version ${version}`);
+        }
+        for (const other of await tx.find('prompts', { name })) {
+            if (other.active && other.version !== version) {
+                await tx.put('prompts', { ...other, active: false });
+            }
+        }
+        const activated = { ...target, active: true };
+        await tx.put('prompts', activated);
+        return activated;
+    });
+}
+
+// ==================== EXERCISE BANK OPERATIONS ====================
+
+/**
+ * Get the tasks of the exercise bank (import order)
+ * @param {Object} [filter]
+ * @param {string} [filter.set] - Only this task set
+ * @returns {Promise<Array<Object>>} {id, set, title, topic, profile, task, createdAt, createdBy, updatedAt}
+ */
+async function getBankExercises({ set } = {}) {
+    return storage.find('exercises', { set });
+}
+
+/**
+ * Add the tasks of a set to the bank; a task whose title is already in the set replaces it (keeping its ID)
+ * @param {string} set - Name of the task set
+ * @param {Array<Object>} exercises - {title, topic, profile, task}
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] - Admin who imports the set
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+async function importBankExercises(set, exercises, { createdBy = null } = {}) {
+    return storage.transaction(async tx => {
+        const existing = new Map((await tx.find('exercises', { set })).map(exercise => [exercise.title, exercise]));
+        const now = new Date().toISOString();
+        let added = 0;
+        let updated = 0;
+
+        for (const exercise of exercises) {
+            const previous = existing.get(exercise.title);
+            if (previous) {
+                await tx.put('exercises', { ...previous, ...exercise, updatedAt: now });
+                updated++;
+            } else {
+                await tx.put('exercises', { id: generateId(), set, ...exercise, createdAt: now, createdBy, updatedAt: now });
+                added++;
+            }
+        }
+        return { added, updated };
+    });
+}
+
+/**
+ * IDs of the bank tasks a user has drawn (see createDocument's exerciseId)
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+async function getDrawnExerciseIds(userId) {
+    return new Set((await storage.find('documents', { userId })).map(doc => doc.exerciseId).filter(Boolean));
+}
+
+/**
+ * Remove a task set from the bank
+ * @param {string} set
+ * @returns {Promise<number>} Number of removed tasks
+ */
+async function deleteBankSet(set) {
+    return storage.remove('exercises', { set });
+}
+
+// ==================== DATA EXPORT/IMPORT ====================
+
+/**
+ * Everything a user owns, in the backup file format
+ * @param {string} userId
+ * @returns {Promise<{documents: Array, contents: Array, attempts: Array, cards: Array}>}
+ */
+async function exportUserData(userId) {
+    const documents = await storage.find('documents', { userId });
+    const contents = await contentsOf(documents);
+    const attempts = await Promise.all(documents.map(doc => storage.find('attempts', { documentId: doc.id })));
+    return {
+        schemaVersion: migrations.SCHEMA_VERSION,
+        documents,
+        contents: documents.map(doc => contents.get(doc.id)).filter(content => content.documentId),
+        attempts: attempts.flat(),
+        cards: await storage.find('cards', { userId }),
+    };
+}
+
+/**
+ * IDs of documents that belong to other users (clash check for imports)
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+async function getForeignDocumentIds(userId) {
+    return new Set((await storage.find('documents')).filter(d => d.userId !== userId).map(d => d.id));
+}
+
+/**
+ * Write imported records into a user's data. Documents, contents and attempts
+ * with the same ID (or document and number) are overwritten; cards are merged by key.
+ * @param {string} userId
+ * @param {{documents: Array, contents: Array, attempts: Array, cards: Array}} records - Validated backup records
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Remove the user's current data first
+ * @param {Set<string>} [options.renewIds] - Backup document IDs that must get a new ID
+ */
+async function importUserData(userId, records, { replace = false, renewIds = new Set() } = {}) {
+    const idMap = new Map(records.documents.map(d => [d.id, renewIds.has(d.id) ? generateId() : d.id]));
+    const mapped = record => ({ ...record, documentId: idMap.get(record.documentId) });
+
+    await storage.transaction(async tx => {
+        if (replace) {
+            await removeUserData(tx, userId);
+        }
+
+        for (const d of records.documents) {
+            await tx.put('documents', { ...d, id: idMap.get(d.id), userId });
+        }
+        for (const content of records.contents.map(mapped)) {
+            await tx.put('contents', content);
+        }
+        for (const attempt of records.attempts.map(mapped)) {
+            await tx.put('attempts', attempt);
+        }
+
+        for (const c of records.cards) {
+            const sources = (c.sources || []).map(id => idMap.get(id) || id);
+            const existing = await tx.findOne('cards', { userId, key: c.key });
+            if (existing) {
+                await tx.put('cards', { ...existing, sources: [...new Set([...existing.sources, ...sources])] });
+                continue;
+            }
+            const id = c.id && !(await tx.findOne('cards', { id: c.id })) ? c.id : generateId();
+            await tx.put('cards', { ...c, id, userId, sources });
+        }
+    });
+}
+
+/**
+ * Write a copy of the whole database to BACKUP_DIR (keeps the newest MAX_BACKUPS files)
+ * @returns {Promise<string>} File name of the backup
+ */
+async function backupDatabase() {
+    const data = await storage.dump();
+    await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+
+    const filename = `klar-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    await fs.promises.writeFile(path.join(BACKUP_DIR, filename), JSON.stringify(data, null, 2));
+
+    const backups = (await fs.promises.readdir(BACKUP_DIR))
+        .filter(name => /^klar-.*\.json$/.test(name))
+        .sort()
+        .reverse();
+    await Promise.all(backups.slice(MAX_BACKUPS).map(name => fs.promises.unlink(path.join(BACKUP_DIR, name))));
+    return filename;
+}
+
 module.exports = {
     initializeDatabase,
     getDocuments,
     getDocument,
+    getTags,
     createDocument,
+    updateDocument,
     deleteDocument,
     getContent,
     upsertContent,
+    addAttempt,
+    getAttempts,
+    getAttempt,
+    getCards,
+    getCard,
+    addCards,
+    updateCard,
     getAllDocumentsWithContent,
+    getUsers,
+    getUser,
+    getUserWithPassword,
+    createUser,
+    updateUser,
+    deleteUser,
+    claimUnownedData,
+    createSession,
+    getSession,
+    deleteSession,
+    exportUserData,
+    getForeignDocumentIds,
+    importUserData,
+    backupDatabase,
+    createJob,
+    getJob,
+    getJobs,
+    updateJob,
+    deleteFinishedJobs,
+    getCachedReview,
+    putCachedReview,
+    addUsage,
+    getUsage,
+    getPromptVersions,
+    addPromptVersion,
+    activatePromptVersion,
+    getBankExercises,
+    importBankExercises,
+    getDrawnExerciseIds,
+    deleteBankSet,
     DUPLICATE_DOCUMENT,
     DOCUMENT_NOT_FOUND,
+    CARD_NOT_FOUND,
+    DUPLICATE_USER,
+    USER_NOT_FOUND,
+    JOB_NOT_FOUND,
+    PROMPT_VERSION_NOT_FOUND,
 };
\ No newline at end of file
@@ -1,12 +1,41 @@
 const express = require('express');
-const fs = require('fs/promises');
-const { DB_PATH } = require('../config');
 const repository = require('../repository');
-const openai = require('../services/openai');
-const pdfExport = require('../services/pdf-export');
+const exam = require('../services/exam');
+const exportFormats = require('../services/export-formats');
+const stats = require('../services/stats');
+const deck = require('../services/deck');
+const search = require('../services/search');
+const dataImport = require('../services/data-import');
+const auth = require('../services/auth');
+const jobs = require('../services/jobs');
+const review = require('../services/review');
+const usage = require('../services/usage');
+const profiles = require('../services/profiles');
+const prompts = require('../services/prompts');
+const { extractContentPoints } = require('../services/content-points');
+const precheck = require('../services/precheck');
+const modelAnswer = require('../services/model-answer');
+const exerciseBank = require('../services/exercise-bank');
+const textDiff = require('../services/text-diff');
 
 const router = express.Router();
 
+/** Interval of keep-alive comments on event streams */
+const SSE_HEARTBEAT_MS = 15000;
+
+/** Every route with a :documentId only sees documents of the logged-in user */
+router.param('documentId', async (req, res, next, documentId) => {
+    try {
+        req.document = await repository.getDocument(documentId, req.user.id);
+        if (!req.document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ==================== CONTENT ====================
 
 /**
@@ -23,15 +52,52 @@ router.get('/data/:documentId', async (req, res) => {
     }
 });
 
+/** Content fields the learner edits; everything else on the content record belongs to the review */
+const EDITABLE_FIELDS = ['task', 'submissionText', 'correction'];
+
 /**
  * POST /api/data/:documentId
- * Create or update content for a document
+ * Save the learner's task, submission and (hand-edited) correction; the content points are
+ * taken from the task. Other fields of the body are ignored: the review (score, criteria,
+ * feedback, edits, coverage, prompt version) and the model answer stay as stored.
+ * The structured edits are dropped when the correction markup is edited by hand, the model
+ * answer when the task changes; `clearReview: true` discards the current review for a revision.
  */
 router.post('/data/:documentId', async (req, res) => {
     try {
-        await repository.upsertContent({ documentId: req.params.documentId, ...req.body });
+        const stored = await repository.getContent(req.params.documentId);
+        const changes = Object.fromEntries(EDITABLE_FIELDS
+            .filter(field => typeof req.body[field] === 'string')
+            .map(field => [field, req.body[field]]));
+        await exam.assertEditable(req.params.documentId, changes);
+
+        const content = { ...stored, ...changes, documentId: req.params.documentId };
+        if (req.body.clearReview === true) {
+            Object.assign(content, {
+                reviewScore: null,
+                reviewCriteria: null,
+                reviewFeedback: '',
+                correction: '',
+                edits: null,
+                droppedEdits: null,
+                contentCoverage: null,
+                promptVersion: null,
+            });
+        }
+        if ((content.correction ?? '') !== (stored.correction ?? '')) {
+            content.edits = null;
+            content.droppedEdits = null;
+        }
+        await repository.upsertContent({
+            ...content,
+            contentPoints: extractContentPoints(content.task),
+            modelAnswer: (content.task ?? '') === (stored.task ?? '') ? stored.modelAnswer ?? null : null,
+        });
         res.json({ success: true });
     } catch (error) {
+        if (error.code === exam.EXAM_LOCKED) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Database write error:', error);
         res.status(500).json({ error: 'Failed to save content' });
     }
@@ -41,14 +107,21 @@ router.post('/data/:documentId', async (req, res) => {
 
 /**
  * GET /api/documents
- * List documents with pagination
+ * List documents with pagination, search and filters
+ * @query {string} q - Full-text search in title, task and submission
+ * @query {string} status - reviewed | unreviewed | passed | failed
+ * @query {string} from, to - Creation date range (YYYY-MM-DD)
+ * @query {string} tag - Tag filter (repeatable)
  */
 router.get('/documents', async (req, res) => {
     try {
         const page = Math.max(1, parseInt(req.query.page) || 1);
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 5));
-        const result = await repository.getDocuments({ page, limit });
-        res.json(result);
+        const filters = search.parseFilters(req.query);
+        const result = await repository.getDocuments({
+            page, limit, userId: req.user.id, where: search.toPredicate(filters),
+        });
+        res.json({ ...result, filters });
     } catch (error) {
         console.error('Error listing documents:', error);
         res.status(500).json({ error: 'Failed to list documents' });
@@ -64,9 +137,12 @@ router.post('/documents', async (req, res) => {
     if (!title || !title.trim()) {
         return res.status(400).json({ error: 'Title is required to create a document' });
     }
+    if (!isValidProfile(req)) {
+        return res.status(400).json({ error: 'Unbekannte Prüfung' });
+    }
 
     try {
-        const document = await repository.createDocument(title.trim());
+        const document = await repository.createDocument(title.trim(), documentOptions(req));
         res.set('HX-Trigger', 'refreshList, documentCreated');
         res.json({ success: true, document });
     } catch (error) {
@@ -79,12 +155,60 @@ router.post('/documents', async (req, res) => {
 });
 
 /**
- * DELETE /api/documents/:id
+ * POST /api/documents/:documentId/start
+ * Start the clock of an exam-mode document
+ */
+router.post('/documents/:documentId/start', async (req, res) => {
+    try {
+        const document = await exam.startExam(req.params.documentId);
+        res.json({ success: true, document, deadline: exam.getDeadline(document) });
+    } catch (error) {
+        if (error.code === repository.DOCUMENT_NOT_FOUND) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error starting exam:', error);
+        res.status(500).json({ error: 'Failed to start exam' });
+    }
+});
+
+/**
+ * PUT /api/documents/:documentId/tags
+ * Replace the tags of a document
+ * @body {Array<string>|string} tags - List or comma-separated string
+ */
+router.put('/documents/:documentId/tags', async (req, res) => {
+    try {
+        const document = await repository.updateDocument(req.params.documentId, {
+            tags: search.normalizeTags(req.body.tags),
+        });
+        res.set('HX-Trigger', 'refreshList');
+        res.json({ success: true, tags: document.tags });
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        res.status(500).json({ error: 'Failed to save tags' });
+    }
+});
+
+/**
+ * GET /api/tags
+ * All tags of the current user with document counts
+ */
+router.get('/tags', async (req, res) => {
+    try {
+        res.json({ tags: await repository.getTags(req.user.id) });
+    } catch (error) {
+        console.error('Error listing tags:', error);
+        res.status(500).json({ error: 'Failed to list tags' });
+    }
+});
+
+/**
+ * DELETE /api/documents/:documentId
  * Delete a document and its associated content
  */
-router.delete('/documents/:id', async (req, res) => {
+router.delete('/documents/:documentId', async (req, res) => {
     try {
-        await repository.deleteDocument(req.params.id);
+        await repository.deleteDocument(req.params.documentId, req.user.id);
         res.set('HX-Trigger', 'refreshList, documentDeleted');
         res.json({ success: true });
     } catch (error) {
@@ -96,116 +220,845 @@ router.delete('/documents/:id', async (req, res) => {
     }
 });
 
+// ==================== PROFILES ====================
+
+/**
+ * GET /api/profiles
+ * The exam profiles an exercise can be created for, with criteria, scale, pass mark,
+ * word limits and exam-mode minutes
+ */
+router.get('/profiles', (req, res) => {
+    res.json({ profiles: profiles.PROFILES, defaultProfile: profiles.DEFAULT_PROFILE });
+});
+
+// ==================== PRE-CHECK ====================
+
+/**
+ * POST /api/content/precheck/:documentId
+ * Rule-based check of a text against the document's exam profile (no AI call, free):
+ * greeting, sign-off, register, du/Sie address, subject line, long sentences, length
+ * @body {string} [text] - Text to check (default: the stored submission)
+ */
+router.post('/content/precheck/:documentId', async (req, res) => {
+    try {
+        const text = typeof req.body.text === 'string'
+            ? req.body.text
+            : (await repository.getContent(req.params.documentId)).submissionText;
+        res.json(precheck.check(text, profiles.getProfile(req.document.profile)));
+    } catch (error) {
+        console.error('Error running pre-check:', error);
+        res.status(500).json({ error: 'Failed to check text' });
+    }
+});
+
 // ==================== REVIEW ====================
 
 /**
  * POST /api/exercises/generate
- * Generate a new exercise with AI-created title and task, then redirect to it
+ * Queue the generation of a new exercise with AI-created title and task.
+ * Responds 202 with the job; its result is {documentId} (see GET /api/jobs/:jobId).
+ * Refused with 429 once the AI budget is used up.
  */
 router.post('/exercises/generate', async (req, res) => {
-    const MAX_RETRIES = 3;
-    const instructions = req.body.instructions?.trim() || '';
-
-    try {
-        let lastError;
-        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-            const { title, task } = await openai.generateExercise(instructions);
-            try {
-                const document = await repository.createDocument(title);
-                await repository.upsertContent({ documentId: document.id, task });
-                return res.json({ success: true, documentId: document.id });
-            } catch (error) {
-                if (error.code === repository.DUPLICATE_DOCUMENT) {
-                    lastError = error;
-                    continue;
-                }
-                throw error;
-            }
-        }
-        res.status(409).json({ error: 'Titel existiert bereits. Bitte erneut versuchen.' });
-    } catch (error) {
-        console.error('Error generating exercise:', error);
+    if (!isValidProfile(req)) {
+        return res.status(400).json({ error: 'Unbekannte Prüfung' });
+    }
+
+    try {
+        await usage.assertWithinBudget();
+        const { profile, mode, durationMinutes } = documentOptions(req);
+        const job = await jobs.enqueue({
+            type: 'generate',
+            userId: req.user.id,
+            payload: { instructions: req.body.instructions?.trim() || '', profile, mode, durationMinutes },
+        });
+        res.status(202).json({ success: true, job: jobView(job) });
+    } catch (error) {
+        if (error.code === usage.BUDGET_EXCEEDED) {
+            return res.status(429).json({ error: error.message });
+        }
+        console.error('Error queueing exercise generation:', error);
         res.status(500).json({ error: 'Failed to generate exercise' });
     }
 });
 
 /**
  * POST /api/content/review/:documentId
- * Submit document content for AI review
+ * Submit document content for AI review. The review runs as a background job:
+ * responds 202 with the job (an already running review of the document is reused);
+ * its result is {attempt, cached} (see GET /api/jobs/:jobId). An unchanged text gets
+ * its cached review back unless the body has `force: true`; a forced review is refused with
+ * 409 while a review of the document that was not forced is still queued or running, and
+ * with 400 if there is no text yet. An exam is only submitted once its review is queued.
+ * Refused with 429 once the AI budget is used up.
  */
 router.post('/content/review/:documentId', async (req, res) => {
-    const { documentId } = req.params;
+    try {
+        const job = await queueReview(req);
+        res.status(202).json({ success: true, job: jobView(job) });
+    } catch (error) {
+        if (error.code === exam.EXAM_NOT_STARTED || error.code === review.NOTHING_TO_REVIEW) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === jobs.REVIEW_IN_PROGRESS) {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.code === usage.BUDGET_EXCEEDED) {
+            return res.status(429).json({ error: error.message });
+        }
+        console.error('Error while queueing review:', error);
+        res.status(500).json({ error: 'Failed to review content' });
+    }
+});
+
+/**
+ * POST /api/content/review/:documentId/stream
+ * Same as above, but answers with the events of the review job (see GET /api/jobs/:jobId/events)
+ */
+router.post('/content/review/:documentId/stream', async (req, res) => {
+    try {
+        const job = await queueReview(req);
+        await streamJob(res, job);
+    } catch (error) {
+        if (error.code === exam.EXAM_NOT_STARTED || error.code === review.NOTHING_TO_REVIEW) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === jobs.REVIEW_IN_PROGRESS) {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.code === usage.BUDGET_EXCEEDED) {
+            return res.status(429).json({ error: error.message });
+        }
+        console.error('Error while streaming review:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to review content' });
+    }
+});
 
+// ==================== MODEL ANSWER ====================
+
+/**
+ * POST /api/content/model-answer/:documentId
+ * Queue a model answer to the document's task, written by the AI. Only available once
+ * the learner has submitted (a reviewed attempt or a submitted exam), otherwise 400.
+ * Responds 202 with the job (an already running one is reused); when it is done the
+ * answer is the content's `modelAnswer` (see GET /api/data/:documentId).
+ * Refused with 429 once the AI budget is used up.
+ */
+router.post('/content/model-answer/:documentId', async (req, res) => {
     try {
-        const content = await repository.getContent(documentId);
-        if (!content || !content.submissionText) {
-            return res.status(400).json({ error: 'No submission text found for review' });
+        const { documentId } = req.params;
+        await modelAnswer.assertAvailable(documentId);
+        await usage.assertWithinBudget();
+        const job = await jobs.enqueue({ type: 'modelAnswer', userId: req.user.id, payload: { documentId } });
+        res.status(202).json({ success: true, job: jobView(job) });
+    } catch (error) {
+        if (error.code === modelAnswer.NO_TASK || error.code === modelAnswer.NOT_SUBMITTED) {
+            return res.status(400).json({ error: error.message });
         }
+        if (error.code === usage.BUDGET_EXCEEDED) {
+            return res.status(429).json({ error: error.message });
+        }
+        console.error('Error queueing model answer:', error);
+        res.status(500).json({ error: 'Failed to create model answer' });
+    }
+});
+
+// ==================== EXERCISE BANK ====================
+
+/**
+ * GET /api/exercises/bank
+ * The task sets of the exercise bank with the number of tasks the user has not practised yet
+ */
+router.get('/exercises/bank', async (req, res) => {
+    try {
+        res.json({ sets: await exerciseBank.listSets(req.user.id) });
+    } catch (error) {
+        console.error('Error listing exercise bank:', error);
+        res.status(500).json({ error: 'Failed to list exercise bank' });
+    }
+});
 
-        const review = await openai.reviewContent({
-            taskContent: content.task,
-            contentText: content.submissionText,
+/**
+ * POST /api/exercises/bank/draw
+ * Create an exercise from a random bank task the user has not practised yet
+ * @body {string} [set] - Only from this task set
+ * @body {string} [profile] - Only tasks of this exam profile
+ * @body {string} [mode] - "exam" for the timed exam mode
+ */
+router.post('/exercises/bank/draw', async (req, res) => {
+    if (!isValidProfile(req)) {
+        return res.status(400).json({ error: 'Unbekannte Prüfung' });
+    }
+
+    try {
+        const document = await exerciseBank.drawExercise(req.user.id, {
+            set: req.body.set || undefined,
+            profile: req.body.profile || undefined,
+            mode: req.body.mode === 'exam' ? 'exam' : 'practice',
         });
+        res.set('HX-Trigger', 'refreshList, documentCreated');
+        res.status(201).json({ success: true, document });
+    } catch (error) {
+        if (error.code === exerciseBank.NO_UNUSED_EXERCISE) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error drawing exercise:', error);
+        res.status(500).json({ error: 'Failed to draw exercise' });
+    }
+});
 
-        await repository.upsertContent({
-            ...content,
-            documentId,
-            reviewScore: review.score,
-            reviewFeedback: review.feedback,
-            correction: review.correction,
+/**
+ * GET /api/admin/exercises/bank/:set
+ * The tasks of a task set (admins only)
+ */
+router.get('/admin/exercises/bank/:set', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ set: req.params.set, exercises: await exerciseBank.getSet(req.params.set) });
+    } catch (error) {
+        if (error.code === exerciseBank.SET_NOT_FOUND) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error fetching task set:', error);
+        res.status(500).json({ error: 'Failed to fetch task set' });
+    }
+});
+
+/**
+ * POST /api/admin/exercises/bank - Import a task set from YAML or JSON (admins only)
+ * The file is the raw request body (see services/exercise-bank for its format);
+ * tasks already in the set are updated by title.
+ * @query {string} set - Name of the set if the file has none
+ */
+router.post('/admin/exercises/bank', auth.requireAdmin, express.text({ type: '*/*', limit: '2mb' }), async (req, res) => {
+    try {
+        const text = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+        const result = await exerciseBank.importTaskSet(text, { set: req.query.set, userId: req.user.id });
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === exerciseBank.INVALID_TASK_SET) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        console.error('Error importing task set:', error);
+        res.status(500).json({ error: 'Import fehlgeschlagen' });
+    }
+});
+
+/**
+ * DELETE /api/admin/exercises/bank/:set
+ * Remove a task set from the bank; exercises drawn from it stay (admins only)
+ */
+router.delete('/admin/exercises/bank/:set', auth.requireAdmin, async (req, res) => {
+    try {
+        await exerciseBank.deleteSet(req.params.set);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === exerciseBank.SET_NOT_FOUND) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error deleting task set:', error);
+        res.status(500).json({ error: 'Failed to delete task set' });
+    }
+});
+
+// ==================== JOBS ====================
+
+/** Every route with a :jobId only sees jobs of the logged-in user */
+router.param('jobId', async (req, res, next, jobId) => {
+    try {
+        req.job = await repository.getJob(jobId, req.user.id);
+        if (!req.job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/jobs
+ * List the user's jobs, oldest first
+ * @query {string} type - review | generate | modelAnswer
+ * @query {string} documentId - Only reviews and model answers of this document
+ * @query {string} active - "true" for queued and running jobs only
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        const { type, documentId } = req.query;
+        const active = req.query.active === 'true';
+        const list = (await repository.getJobs({ userId: req.user.id }))
+            .filter(job => !type || job.type === type)
+            .filter(job => !documentId || job.payload.documentId === documentId)
+            .filter(job => !active || job.status === 'queued' || job.status === 'running');
+        res.json({ jobs: list.map(jobView) });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Status of a job: {id, type, status, message, result, error, …}
+ */
+router.get('/jobs/:jobId', (req, res) => {
+    res.json({ job: jobView(req.job) });
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Follow a job as Server-Sent Events:
+ *   status  {status, message, reset?}          queued, started or waiting for a retry (reset: drop the partial review)
+ *   partial {score, criteria, feedback, edits} readable part of a review so far (see openai.partialReview)
+ *   done    {attempt, cached} | {documentId}   result of the job
+ *   error   {error}                            the job failed for good
+ * A client that disconnects only stops following; the job keeps running.
+ */
+router.get('/jobs/:jobId/events', async (req, res, next) => {
+    try {
+        await streamJob(res, req.job);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ==================== ATTEMPTS ====================
+
+/**
+ * GET /api/content/attempts/:documentId
+ * List all reviewed attempts of a document (oldest first). Each carries `correctionCheck`:
+ * whether its correction, with the markup removed, still is the submitted text (see text-diff.checkCorrection)
+ */
+router.get('/content/attempts/:documentId', async (req, res) => {
+    try {
+        const attempts = (await repository.getAttempts(req.params.documentId))
+            .map(attempt => ({ ...attempt, correctionCheck: textDiff.checkCorrection(attempt) }));
+        res.json({ attempts });
+    } catch (error) {
+        console.error('Error listing attempts:', error);
+        res.status(500).json({ error: 'Failed to list attempts' });
+    }
+});
+
+/**
+ * GET /api/content/attempts/:documentId/compare?from=1&to=2
+ * Word-level diff of two attempts' submissions with the score delta and the corrections
+ * of `to` that were already made in `from`. Defaults to the last two attempts.
+ * `to=corrected` compares attempt `from` with its own correction (markup removed) instead.
+ */
+router.get('/content/attempts/:documentId/compare', async (req, res) => {
+    try {
+        const attempts = await repository.getAttempts(req.params.documentId);
+        const byNumber = number => attempts.find(attempt => attempt.number === parseInt(number, 10));
+        const corrected = req.query.to === 'corrected';
+        const from = req.query.from !== undefined
+            ? byNumber(req.query.from)
+            : attempts[corrected ? attempts.length - 1 : attempts.length - 2];
+        const to = corrected ? from : (req.query.to !== undefined ? byNumber(req.query.to) : attempts[attempts.length - 1]);
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        const summary = attempt => ({ number: attempt.number, createdAt: attempt.createdAt, reviewScore: attempt.reviewScore });
+        const check = textDiff.checkCorrection(from);
+        if (corrected) {
+            return res.json({
+                from: summary(from),
+                to: null,
+                scoreDelta: null,
+                diff: textDiff.diffWords(from.submissionText, textDiff.stripMarkup(from).corrected),
+                repeated: [],
+                checks: { from: check, to: null },
+            });
+        }
+        res.json({
+            from: summary(from),
+            to: summary(to),
+            scoreDelta: from.reviewScore != null && to.reviewScore != null ? to.reviewScore - from.reviewScore : null,
+            diff: textDiff.diffWords(from.submissionText, to.submissionText),
+            repeated: to.number > from.number ? textDiff.repeatedMistakes(from, to) : [],
+            checks: { from: check, to: textDiff.checkCorrection(to) },
         });
+    } catch (error) {
+        console.error('Error comparing attempts:', error);
+        res.status(500).json({ error: 'Failed to compare attempts' });
+    }
+});
 
-        res.json({ success: true, message: 'AI review completed successfully' });
+/**
+ * GET /api/content/attempts/:documentId/:number
+ * Retrieve a single attempt by its number
+ */
+router.get('/content/attempts/:documentId/:number', async (req, res) => {
+    try {
+        const attempt = await repository.getAttempt(req.params.documentId, parseInt(req.params.number, 10));
+        if (!attempt) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+        res.json({ attempt });
     } catch (error) {
-        console.error('Error while reviewing content:', error);
-        res.status(500).json({ error: 'Failed to review content' });
+        console.error('Error fetching attempt:', error);
+        res.status(500).json({ error: 'Failed to fetch attempt' });
+    }
+});
+
+// ==================== STATS ====================
+
+/**
+ * GET /api/stats
+ * Learning progress: score history, pass rate, average word count and recurring mistakes
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const data = await repository.getAllDocumentsWithContent({ userId: req.user.id });
+        res.json(stats.computeStats(data));
+    } catch (error) {
+        console.error('Error computing stats:', error);
+        res.status(500).json({ error: 'Failed to compute stats' });
+    }
+});
+
+// ==================== MISTAKE DECK ====================
+
+/**
+ * GET /api/deck
+ * All cards of the mistake deck and how many are due
+ */
+router.get('/deck', async (req, res) => {
+    try {
+        const cards = await repository.getCards(req.user.id);
+        const due = await deck.getDueCards({ limit: Infinity, userId: req.user.id });
+        res.json({ cards, dueCount: due.length });
+    } catch (error) {
+        console.error('Error listing deck:', error);
+        res.status(500).json({ error: 'Failed to list deck' });
+    }
+});
+
+/**
+ * GET /api/deck/due
+ * Cards due for repetition (most overdue first)
+ */
+router.get('/deck/due', async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const cards = await deck.getDueCards({ limit, userId: req.user.id });
+        res.json({ cards });
+    } catch (error) {
+        console.error('Error listing due cards:', error);
+        res.status(500).json({ error: 'Failed to list due cards' });
+    }
+});
+
+/**
+ * POST /api/deck/sync
+ * Add the mistakes of all stored reviews to the deck
+ */
+router.post('/deck/sync', async (req, res) => {
+    try {
+        const added = await deck.syncAll(req.user.id);
+        res.json({ success: true, added });
+    } catch (error) {
+        console.error('Error syncing deck:', error);
+        res.status(500).json({ error: 'Failed to sync deck' });
+    }
+});
+
+/**
+ * POST /api/deck/cards/:id/answer
+ * Check a drill answer and reschedule the card
+ */
+router.post('/deck/cards/:id/answer', async (req, res) => {
+    try {
+        const result = await deck.answerCard(req.params.id, req.body.answer, req.user.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === repository.CARD_NOT_FOUND) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error answering card:', error);
+        res.status(500).json({ error: 'Failed to record answer' });
+    }
+});
+
+/**
+ * GET /api/deck/export
+ * Download the deck as an Anki-compatible CSV
+ */
+router.get('/deck/export', async (req, res) => {
+    try {
+        const cards = await repository.getCards(req.user.id);
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="Klar-Fehlerkarten.csv"',
+        });
+        res.send(deck.toAnkiCsv(cards));
+    } catch (error) {
+        console.error('Error exporting deck:', error);
+        res.status(500).json({ error: 'Export fehlgeschlagen' });
     }
 });
 
 // ==================== EXPORT ====================
 
 /**
- * GET /api/export/pdf
- * Generate and download a PDF of all documents
+ * GET /api/export/:format
+ * Download the selected documents (all without filters) as pdf, md, html or csv
+ * @query {string} ids, q, status, from, to, tag - Selection (see services/search)
+ * @query {string} userId - Admins only: export another learner's documents
+ * @query {string} modelAnswers - "true" to add the model answers (PDF only)
  */
-router.get('/export/pdf', async (req, res) => {
+router.get('/export/:format', async (req, res) => {
+    const format = exportFormats.FORMATS[req.params.format];
+    if (!format) {
+        return res.status(404).json({ error: 'Unbekanntes Exportformat' });
+    }
+
     try {
-        const data = await repository.getAllDocumentsWithContent();
-        if (!data || !data.length) {
+        const userId = req.query.userId || req.user.id;
+        if (userId !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Nur für Administratoren' });
+        }
+        const owner = await repository.getUser(userId);
+        if (!owner) {
+            return res.status(404).json({ error: 'Benutzer nicht gefunden' });
+        }
+
+        const filters = search.parseFilters(req.query);
+        const matches = search.toPredicate(filters);
+        const data = (await repository.getAllDocumentsWithContent({ userId: owner.id }))
+            .filter(item => matches(item, item));
+        if (!data.length) {
             return res.status(404).json({ error: 'Keine Daten zum Exportieren' });
         }
-        const pdfBuffer = await pdfExport.generatePdf(data);
+
+        const buffer = await exportFormats.render(req.params.format, data, {
+            owner: owner.username,
+            selection: search.describeFilters(filters),
+            modelAnswers: req.query.modelAnswers === 'true',
+        });
+        const filename = (data.length === 1 ? `Klar - ${data[0].title}` : 'Klar') + '.' + format.extension;
         res.set({
-            'Content-Type': 'application/pdf',
-            'Content-Disposition': 'attachment; filename="Klar.pdf"',
-            'Content-Length': pdfBuffer.length,
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="${asciiFilename(filename)}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+            'Content-Length': buffer.length,
         });
-        res.send(pdfBuffer);
+        res.send(buffer);
     } catch (error) {
-        console.error('Error generating PDF:', error);
-        res.status(500).json({ error: 'PDF-Erstellung fehlgeschlagen' });
+        console.error(`Error generating ${req.params.format} export:`, error);
+        res.status(500).json({ error: 'Export fehlgeschlagen' });
     }
 });
 
-/** GET /api/db/export - Download raw database as JSON */
-router.get('/db/export', (req, res) => {
-    res.download(DB_PATH, 'klar_backup.json');
+/** GET /api/db/export - Download the current user's data as JSON */
+router.get('/db/export', async (req, res) => {
+    try {
+        const data = await repository.exportUserData(req.user.id);
+        res.attachment('klar_backup.json');
+        res.send(JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.error('Error exporting database:', error);
+        res.status(500).json({ error: 'Export fehlgeschlagen' });
+    }
 });
 
-/** POST /api/db/import - Import database from JSON */
+/**
+ * POST /api/db/import - Import a JSON backup into the current user's data
+ * @query {string} mode - merge (default: keep other documents) | replace (swap the whole set)
+ * @query {boolean} dryRun - Only report what would be added, updated or renamed
+ */
 router.post('/db/import', express.json({ limit: '10mb' }), async (req, res) => {
+    const mode = dataImport.MODES.includes(req.query.mode) ? req.query.mode : 'merge';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
     try {
-        const data = req.body;
-        if (!data || !Array.isArray(data.documents) || !Array.isArray(data.contents)) {
-            return res.status(400).json({ error: 'Ungültiges Datenbankformat' });
+        const result = await dataImport.importBackup(req.user.id, req.body, { mode, dryRun });
+        if (!dryRun) {
+            await exam.restoreTimers();
         }
-        await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2));
-        await repository.initializeDatabase();
-        res.json({ success: true });
+        res.json({ success: true, ...result });
     } catch (error) {
+        if (error.code === dataImport.INVALID_BACKUP) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
         console.error('Error importing database:', error);
         res.status(500).json({ error: 'Import fehlgeschlagen' });
     }
 });
 
+// ==================== USERS ====================
+
+/** GET /api/me - The logged-in user */
+router.get('/me', (req, res) => {
+    res.json({ user: req.user });
+});
+
+/** GET /api/admin/users - List all accounts */
+router.get('/admin/users', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ users: await repository.getUsers() });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+/** POST /api/admin/users - Create an account */
+router.post('/admin/users', auth.requireAdmin, async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        const user = await auth.createAccount({ username, password, role });
+        res.json({ success: true, user });
+    } catch (error) {
+        if (error.code === auth.INVALID_ACCOUNT || error.code === repository.DUPLICATE_USER) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+/** PATCH /api/admin/users/:userId - Change role or reset password */
+router.patch('/admin/users/:userId', auth.requireAdmin, async (req, res) => {
+    try {
+        const { role, password } = req.body;
+        auth.validateAccount({ role, password }, { partial: true });
+        if (req.params.userId === req.user.id && role && role !== 'admin') {
+            return res.status(400).json({ error: 'Sie können sich nicht selbst die Admin-Rolle entziehen' });
+        }
+        const user = await repository.updateUser(req.params.userId, {
+            role,
+            passwordHash: password ? await auth.hashPassword(password) : undefined,
+        });
+        res.json({ success: true, user });
+    } catch (error) {
+        if (error.code === auth.INVALID_ACCOUNT) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === repository.USER_NOT_FOUND) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+/**
+ * GET /api/admin/usage
+ * Token usage and estimated costs per day and per document, with the budgets
+ * @query {string} from, to - Date range (YYYY-MM-DD), default the last 30 days
+ */
+router.get('/admin/usage', auth.requireAdmin, async (req, res) => {
+    try {
+        const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+        res.json(await usage.summarize({
+            from: isDay(req.query.from) ? req.query.from : undefined,
+            to: isDay(req.query.to) ? req.query.to : undefined,
+        }));
+    } catch (error) {
+        console.error('Error summarizing usage:', error);
+        res.status(500).json({ error: 'Failed to summarize usage' });
+    }
+});
+
+/** DELETE /api/admin/users/:userId - Delete an account and all its data */
+router.delete('/admin/users/:userId', auth.requireAdmin, async (req, res) => {
+    if (req.params.userId === req.user.id) {
+        return res.status(400).json({ error: 'Sie können Ihr eigenes Konto nicht löschen' });
+    }
+    try {
+        await repository.deleteUser(req.params.userId);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === repository.USER_NOT_FOUND) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// ==================== PROMPTS ====================
+
+/**
+ * GET /api/admin/prompts
+ * The prompt templates (review, generate) with their active version
+ */
+router.get('/admin/prompts', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ templates: await prompts.listTemplates() });
+    } catch (error) {
+        console.error('Error listing prompts:', error);
+        res.status(500).json({ error: 'Failed to list prompts' });
+    }
+});
+
+/**
+ * GET /api/admin/prompts/:name
+ * All versions of a template (newest first) with the variables it can use; review
+ * versions include the number of reviews they produced and their average score
+ */
+router.get('/admin/prompts/:name', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json(await prompts.getTemplate(req.params.name));
+    } catch (error) {
+        handlePromptError(res, error, 'Failed to load prompt');
+    }
+});
+
+/**
+ * POST /api/admin/prompts/:name
+ * Save an edited template as a new version and make it active
+ * @body {string} template, {string} [note] - What was changed
+ */
+router.post('/admin/prompts/:name', auth.requireAdmin, async (req, res) => {
+    try {
+        const version = await prompts.saveVersion(req.params.name, {
+            template: req.body.template,
+            note: req.body.note ?? '',
+            userId: req.user.id,
+        });
+        res.status(201).json({ success: true, version });
+    } catch (error) {
+        handlePromptError(res, error, 'Failed to save prompt');
+    }
+});
+
+/**
+ * POST /api/admin/prompts/:name/versions/:version/activate
+ * Make a stored version active again (roll back or forward)
+ */
+router.post('/admin/prompts/:name/versions/:version/activate', auth.requireAdmin, async (req, res) => {
+    try {
+        const version = await prompts.activate(req.params.name, Number(req.params.version));
+        res.json({ success: true, version });
+    } catch (error) {
+        handlePromptError(res, error, 'Failed to activate prompt');
+    }
+});
+
+/**
+ * POST /api/admin/prompts/:name/preview
+ * The prompt as the model would receive it, with the variables filled for an exam profile
+ * @body {string} [template] - Unsaved template (default: the active version), {string} [profile]
+ */
+router.post('/admin/prompts/:name/preview', auth.requireAdmin, async (req, res) => {
+    if (req.body.profile && !profiles.isProfile(req.body.profile)) {
+        return res.status(400).json({ error: 'Unbekannte Prüfung' });
+    }
+    try {
+        res.json({ prompt: await prompts.preview(req.params.name, req.body) });
+    } catch (error) {
+        handlePromptError(res, error, 'Failed to preview prompt');
+    }
+});
+
+// ==================== HELPERS ====================
+
+/** Map errors of the prompt service to responses */
+function handlePromptError(res, error, fallback) {
+    if (error.code === prompts.UNKNOWN_PROMPT || error.code === repository.PROMPT_VERSION_NOT_FOUND) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.code === prompts.INVALID_TEMPLATE) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ error: fallback });
+}
+
+/** Whether the exam profile requested for a new document exists (none: the default) */
+function isValidProfile(req) {
+    return !req.body.profile || profiles.isProfile(req.body.profile);
+}
+
+/**
+ * Document creation options from a request: the exam profile and the mode
+ * (`mode=exam` enables the timed exam with the profile's time limit)
+ */
+function documentOptions(req) {
+    const profile = profiles.getProfile(req.body.profile);
+    const options = { userId: req.user.id, profile: profile.id };
+    return req.body.mode === 'exam'
+        ? { ...options, mode: 'exam', durationMinutes: profile.minutes }
+        : { ...options, mode: 'practice' };
+}
+
+/**
+ * Queue the review of the requested document and then submit it if it is an exam,
+ * so a refused review does not lock the exam
+ */
+async function queueReview(req) {
+    const { documentId } = req.params;
+    await usage.assertWithinBudget();
+    await exam.assertSubmittable(documentId);
+    await review.assertReviewable(documentId);
+    const force = req.body.force === true || req.body.force === 'true';
+    const job = await jobs.enqueue({ type: 'review', userId: req.user.id, payload: { documentId, force } });
+    await exam.submitExam(documentId);
+    return job;
+}
+
+/** A job as returned by the API, with a message describing its state */
+function jobView(job) {
+    const { id, type, status, payload, result, error, tries, createdAt, updatedAt, finishedAt } = job;
+    return {
+        id, type, status, message: jobs.statusMessage(job),
+        documentId: payload.documentId ?? result?.documentId ?? null,
+        result, error, tries, createdAt, updatedAt, finishedAt,
+    };
+}
+
+/**
+ * Send the events of a job as Server-Sent Events until it is done or failed
+ * (the events are described at GET /api/jobs/:jobId/events)
+ */
+async function streamJob(res, job) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // Comment lines keep proxies from closing the connection while the model is thinking
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    const unsubscribe = jobs.subscribe(job.id, ({ type, data }) => {
+        send(type, data);
+        if (type === 'done' || type === 'error') finish();
+    });
+    function finish() {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    }
+    res.on('close', finish);
+
+    // Re-read the job after subscribing, so an outcome in between is not missed
+    const current = await repository.getJob(job.id);
+    if (current.status === 'done') {
+        send('done', current.result);
+        return finish();
+    }
+    if (current.status === 'failed') {
+        send('error', { error: current.error });
+        return finish();
+    }
+    send('status', { status: current.status, message: jobs.statusMessage(current) });
+    const partial = jobs.getProgress(job.id);
+    if (partial) send('partial', partial);
+}
+
+/** Plain-ASCII fallback for the Content-Disposition filename (umlauts go into filename*) */
+function asciiFilename(filename) {
+    return filename.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '');
+}
+
 module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const auth = require('../services/auth');
+const repository = require('../repository');
+
+const router = express.Router();
+
+// ==================== LOGIN ====================
+
+/** GET /login - Login form (or first-run setup form while no account exists) */
+router.get('/login', async (req, res) => {
+    if (req.user) {
+        return res.redirect('/');
+    }
+    res.render('login', { setup: await auth.needsSetup(), error: null, username: '' });
+});
+
+/** POST /login - Check credentials and start a session */
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+        const { token, expiresAt } = await auth.login(username?.trim(), password);
+        auth.setSessionCookie(req, res, token, expiresAt);
+        res.redirect('/');
+    } catch (error) {
+        if (error.code !== auth.INVALID_CREDENTIALS) {
+            console.error('Error logging in:', error);
+        }
+        res.status(401).render('login', { setup: false, error: error.code === auth.INVALID_CREDENTIALS ? error.message : 'Anmeldung fehlgeschlagen', username: username || '' });
+    }
+});
+
+/** POST /setup - Create the first (admin) account; only possible while no account exists */
+router.post('/setup', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+        if (!(await auth.needsSetup())) {
+            return res.redirect('/login');
+        }
+        await auth.createAccount({ username, password });
+        const { token, expiresAt } = await auth.login(username.trim(), password);
+        auth.setSessionCookie(req, res, token, expiresAt);
+        res.redirect('/');
+    } catch (error) {
+        const known = error.code === auth.INVALID_ACCOUNT || error.code === repository.DUPLICATE_USER;
+        if (!known) {
+            console.error('Error during setup:', error);
+        }
+        res.status(400).render('login', { setup: true, error: known ? error.message : 'Einrichtung fehlgeschlagen', username: username || '' });
+    }
+});
+
+/** POST /logout - End the session */
+router.post('/logout', async (req, res) => {
+    try {
+        await auth.logout(req.sessionToken);
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    auth.clearSessionCookie(res);
+    res.redirect('/login');
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const path = require('path');
 const { VIEWS_DIR } = require('../config');
 const repository = require('../repository');
+const profiles = require('../services/profiles');
+const stats = require('../services/stats');
+const exam = require('../services/exam');
+const auth = require('../services/auth');
+const search = require('../services/search');
 
 const router = express.Router();
 
@@ -12,6 +17,11 @@ router.get('/partials/create-exercise', (req, res) => {
     res.sendFile(path.join(VIEWS_DIR, 'create-exercise.html'));
 });
 
+/** GET /partials/user-menu */
+router.get('/partials/user-menu', (req, res) => {
+    res.render('user-menu', { user: req.user });
+});
+
 /** GET /partials/action-buttons */
 router.get('/partials/action-buttons', (req, res) => {
     res.sendFile(path.join(VIEWS_DIR, 'action-buttons.html'));
@@ -21,26 +31,55 @@ router.get('/partials/action-buttons', (req, res) => {
  * GET /partials/text-list - Server-rendered document list + pagination
  * @query {number} page - Page number (default 1)
  * @query {number} limit - Items per page (default 5)
+ * @query {string} q, status, from, to, tag - Search and filters (see services/search)
  */
 router.get('/partials/text-list', async (req, res) => {
     try {
         const page = Math.max(1, parseInt(req.query.page) || 1);
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 5));
-        const { documents, totalItems, totalPages } = await repository.getDocuments({ page, limit });
+        const filters = search.parseFilters(req.query);
+        const { documents, page: safePage, totalItems, totalPages } = await repository.getDocuments({
+            page, limit, userId: req.user.id, where: search.toPredicate(filters),
+        });
 
-        res.render('text-list', { documents, page, limit, totalItems, totalPages, formatDate });
+        res.render('text-list', {
+            documents, page: safePage, limit, totalItems, totalPages, formatDate,
+            filtered: search.hasFilters(filters),
+            describeTiming: exam.describeTiming,
+        });
     } catch (error) {
         console.error('Error rendering text-list partial:', error);
         res.status(500).send('<div class="alert alert-danger">Fehler beim Laden der Liste</div>');
     }
 });
 
+/** GET /partials/list-filters - Search field, status/date filters and the user's tags */
+router.get('/partials/list-filters', async (req, res) => {
+    try {
+        res.render('list-filters', { tags: await repository.getTags(req.user.id) });
+    } catch (error) {
+        console.error('Error rendering list-filters partial:', error);
+        res.status(500).send('<div class="alert alert-danger">Fehler beim Laden der Filter</div>');
+    }
+});
+
+/** GET /partials/dashboard - Server-rendered progress dashboard */
+router.get('/partials/dashboard', async (req, res) => {
+    try {
+        const data = await repository.getAllDocumentsWithContent({ userId: req.user.id });
+        res.render('dashboard', { stats: stats.computeStats(data), formatDate });
+    } catch (error) {
+        console.error('Error rendering dashboard partial:', error);
+        res.status(500).send('<div class="alert alert-danger">Fehler beim Laden der Statistik</div>');
+    }
+});
+
 // ==================== PAGES ====================
 
 /** GET /doc/:id - Serve document editor page */
 router.get('/doc/:id', async (req, res) => {
     try {
-        const document = await repository.getDocument(req.params.id);
+        const document = await repository.getDocument(req.params.id, req.user.id);
         if (!document) {
             return res.redirect('/');
         }
@@ -52,6 +91,16 @@ router.get('/doc/:id', async (req, res) => {
             filename: document.title,
             creationDate: new Date(document.creationDate).toLocaleString('de-DE'),
             contentJson: JSON.stringify(content || {}),
+            profileJson: JSON.stringify(profiles.getProfile(document.profile)),
+            tagsJson: JSON.stringify(document.tags || []),
+            examJson: JSON.stringify({
+                mode: document.mode || 'practice',
+                durationMinutes: document.durationMinutes ?? null,
+                startedAt: document.startedAt ?? null,
+                submittedAt: document.submittedAt ?? null,
+                deadline: exam.getDeadline(document),
+                serverNow: new Date().toISOString(),
+            }),
         });
     } catch (error) {
         console.error('Error serving document:', error);
@@ -59,6 +108,31 @@ router.get('/doc/:id', async (req, res) => {
     }
 });
 
+/** GET /drill - Serve the mistake deck drill page */
+router.get('/drill', (req, res) => {
+    res.render('drill');
+});
+
+/** GET /admin - Serve the account management page (admins only) */
+router.get('/admin', auth.requireAdmin, (req, res) => {
+    res.render('admin', { currentUserId: req.user.id });
+});
+
+/** GET /admin/usage - Serve the token usage and cost overview (admins only) */
+router.get('/admin/usage', auth.requireAdmin, (req, res) => {
+    res.render('usage');
+});
+
+/** GET /admin/prompts - Serve the prompt template editor (admins only) */
+router.get('/admin/prompts', auth.requireAdmin, (req, res) => {
+    res.render('prompts');
+});
+
+/** GET /admin/exercises - Serve the exercise bank with its task set import (admins only) */
+router.get('/admin/exercises', auth.requireAdmin, (req, res) => {
+    res.render('exercise-bank');
+});
+
 /** Redirect unknown HTML routes to home (exclude static files) */
 router.get('*', (req, res, next) => {
     if (path.extname(req.path)) {
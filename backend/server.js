@@ -1,26 +1,50 @@
 const express = require('express');
+const path = require('path');
 const { VIEWS_DIR, PUBLIC_DIR, PORT } = require('./config');
 const repository = require('./repository');
+const exam = require('./services/exam');
+const jobs = require('./services/jobs');
+const prompts = require('./services/prompts');
+const auth = require('./services/auth');
 const apiRoutes = require('./routes/api');
 const partialRoutes = require('./routes/partials');
+const authRoutes = require('./routes/auth');
 
 const app = express();
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(auth.loadUser);
+
+// The app shell needs a login; styles and scripts are public (login page)
+app.get(['/', '/index.html'], auth.requireUser, (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
 app.use(express.static(PUBLIC_DIR));
 
+// Correction model and pre-check shared with the browser
+app.get('/js/corrections.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'services', 'corrections.js'));
+});
+app.get('/js/precheck.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'services', 'precheck.js'));
+});
+
 // View engine
 app.set('view engine', 'ejs');
 app.set('views', VIEWS_DIR);
 
 // Routes
-app.use('/api', apiRoutes);
-app.use(partialRoutes);
+app.use(authRoutes);
+app.use('/api', auth.requireUser, apiRoutes);
+app.use(auth.requireUser, partialRoutes);
 
 async function start() {
     await repository.initializeDatabase();
+    await prompts.ensureDefaults();
+    await exam.restoreTimers();
+    await jobs.start();
     app.listen(PORT, () => {
         console.log(`🚀 Klar server running on port ${PORT}`);
     });
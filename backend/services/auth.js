@@ -0,0 +1,207 @@
+/**
+ * Klar – Local accounts: password hashing, sessions and route guards
+ *
+ * Sessions are random tokens stored in the database and sent as an HttpOnly cookie,
+ * so logins survive a server restart and a logout revokes the token.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const repository = require('../repository');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'klar_session';
+const SESSION_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['admin', 'user'];
+
+// Error codes (Node.js convention)
+const INVALID_CREDENTIALS = 'INVALID_CREDENTIALS';
+const INVALID_ACCOUNT = 'INVALID_ACCOUNT';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ==================== PASSWORDS ====================
+
+/**
+ * Hash a password as "scrypt$<salt>$<key>" (hex)
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (constant time)
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, key] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+    const expected = Buffer.from(key, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validate username, password and role of a new or changed account
+ * @param {Object} fields - {username, password, role}
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - A change: missing fields stay as they are.
+ *   A new account needs a username and a password.
+ * @throws {Error} code=INVALID_ACCOUNT with a German message
+ */
+function validateAccount({ username, password, role }, { partial = false } = {}) {
+    if (!partial && (typeof username !== 'string' || !username.trim())) {
+        throw createError(INVALID_ACCOUNT, 'Benutzername fehlt');
+    }
+    if (!partial && typeof password !== 'string') {
+        throw createError(INVALID_ACCOUNT, `Passwort: mindestens ${MIN_PASSWORD_LENGTH} Zeichen`);
+    }
+    if (username !== undefined && (typeof username !== 'string' || !/^[\w.-]{3,32}$/.test(username))) {
+        throw createError(INVALID_ACCOUNT, 'Benutzername: 3–32 Zeichen (Buchstaben, Ziffern, . _ -)');
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        throw createError(INVALID_ACCOUNT, `Passwort: mindestens ${MIN_PASSWORD_LENGTH} Zeichen`);
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        throw createError(INVALID_ACCOUNT, 'Ungültige Rolle');
+    }
+}
+
+// ==================== ACCOUNTS ====================
+
+/** True until the first account has been created */
+async function needsSetup() {
+    const users = await repository.getUsers();
+    return users.length === 0;
+}
+
+/**
+ * Create an account. The very first account becomes admin and takes over
+ * all documents created before accounts existed.
+ * @param {{username: string, password: string, role?: string}} command - The username is trimmed
+ * @returns {Promise<Object>} Created user
+ * @throws {Error} code=INVALID_ACCOUNT (before anything is stored) or repository.DUPLICATE_USER
+ */
+async function createAccount({ username, password, role = 'user' }) {
+    if (typeof username === 'string') username = username.trim();
+    validateAccount({ username, password, role });
+    const first = await needsSetup();
+    const user = await repository.createUser({
+        username,
+        passwordHash: await hashPassword(password),
+        role: first ? 'admin' : role,
+    });
+    if (first) {
+        await repository.claimUnownedData(user.id);
+    }
+    return user;
+}
+
+/**
+ * Check credentials and open a session
+ * @returns {Promise<{token: string, user: Object, expiresAt: Date}>}
+ * @throws {Error} code=INVALID_CREDENTIALS
+ */
+async function login(username, password) {
+    const user = await repository.getUserWithPassword(String(username ?? ''));
+    if (!user || !(await verifyPassword(String(password ?? ''), user.passwordHash))) {
+        throw createError(INVALID_CREDENTIALS, 'Benutzername oder Passwort falsch');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+    await repository.createSession({ id: token, userId: user.id, expiresAt: expiresAt.toISOString() });
+    return { token, user: await repository.getUser(user.id), expiresAt };
+}
+
+async function logout(token) {
+    if (token) await repository.deleteSession(token);
+}
+
+// ==================== COOKIES ====================
+
+function readSessionToken(req) {
+    const header = req.headers.cookie || '';
+    const match = header.split(';').map(c => c.trim()).find(c => c.startsWith(SESSION_COOKIE + '='));
+    return match ? decodeURIComponent(match.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        expires: expiresAt,
+        path: '/',
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// ==================== MIDDLEWARE ====================
+
+/** Attach req.user (or null) from the session cookie */
+async function loadUser(req, res, next) {
+    try {
+        const token = readSessionToken(req);
+        const session = token ? await repository.getSession(token) : null;
+        req.sessionToken = session ? token : null;
+        req.user = session ? await repository.getUser(session.userId) : null;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/** Require a logged-in user: JSON 401 for the API, redirect to /login for pages and HTMX */
+function requireUser(req, res, next) {
+    if (req.user) return next();
+
+    if (req.get('HX-Request')) {
+        res.set('HX-Redirect', '/login');
+        return res.status(401).send('');
+    }
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(401).json({ error: 'Nicht angemeldet' });
+    }
+    res.redirect('/login');
+}
+
+/** Require an admin (after requireUser) */
+function requireAdmin(req, res, next) {
+    if (req.user?.role === 'admin') return next();
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(403).json({ error: 'Nur für Administratoren' });
+    }
+    res.redirect('/');
+}
+
+module.exports = {
+    ROLES,
+    INVALID_CREDENTIALS,
+    INVALID_ACCOUNT,
+    hashPassword,
+    validateAccount,
+    needsSetup,
+    createAccount,
+    login,
+    logout,
+    setSessionCookie,
+    clearSessionCookie,
+    loadUser,
+    requireUser,
+    requireAdmin,
+};
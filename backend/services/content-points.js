@@ -0,0 +1,66 @@
+/**
+ * Klar – Required content points of a task
+ *
+ * Exam tasks list the points a text must address as bullet points (three in TELC
+ * tasks). They are extracted from the task whenever it is saved, sent along with
+ * every review, and the review reports for each one whether it was covered, partly
+ * covered or missed, with the sentence of the submission that addresses it.
+ *
+ * Coverage entry: {point, status, evidence}
+ */
+
+const STATUSES = ['covered', 'partial', 'missed'];
+const MAX_POINTS = 6;
+
+/** A bullet line: "- …", "• …", "* …", "– …" or "1. …" / "1) …" */
+const BULLET = /^\s*(?:[-–•*·]|\d+[.)])\s+(.+)$/;
+
+/**
+ * The content points of a task
+ * @param {string} [task]
+ * @returns {Array<string>} Text of each bullet point, in order (empty if the task has none)
+ */
+function extractContentPoints(task = '') {
+    return String(task ?? '')
+        .split('\n')
+        .map(line => line.match(BULLET)?.[1].trim())
+        .filter(Boolean)
+        .slice(0, MAX_POINTS);
+}
+
+/**
+ * Check the content point coverage returned by a review and tie it to the submission
+ * @param {*} raw - `contentPoints` of the AI answer
+ * @param {Array<string>} points - Points sent with the review (the model's own ones are kept if they do not match)
+ * @param {string} contentText - The submission
+ * @returns {Array<{point: string, status: string, evidence: string}>|null} null if the answer has none or an invalid shape;
+ *   evidence that does not appear in the submission is dropped
+ */
+function normalizeCoverage(raw, points, contentText) {
+    if (!Array.isArray(raw) || !raw.length || !raw.every(isValidEntry)) return null;
+    const aligned = raw.length === points.length;
+    return raw.map((entry, i) => ({
+        point: aligned ? points[i] : entry.point,
+        status: entry.status,
+        evidence: entry.status !== 'missed' && containsSentence(contentText, entry.evidence) ? entry.evidence.trim() : '',
+    }));
+}
+
+function isValidEntry(entry) {
+    return entry
+        && typeof entry.point === 'string'
+        && STATUSES.includes(entry.status)
+        && typeof entry.evidence === 'string';
+}
+
+/** Whether the text contains the sentence (ignoring differences in whitespace) */
+function containsSentence(text, sentence) {
+    const squash = value => String(value ?? '').replace(/\s+/g, ' ').trim();
+    return !!squash(sentence) && squash(text).includes(squash(sentence));
+}
+
+module.exports = {
+    STATUSES,
+    extractContentPoints,
+    normalizeCoverage,
+};
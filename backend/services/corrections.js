@@ -0,0 +1,288 @@
+/**
+ * Klar – Correction model shared by the server (PDF) and the browser (editor)
+ *
+ * A review describes its corrections as a list of edits on the submission:
+ *   { start, end, original, replacement, category, explanation }
+ * where start/end are character offsets into the submission text.
+ * Records created before edits existed only carry the legacy inline
+ * markup (--wrong--++correct++); toSegments() understands both.
+ *
+ * Loaded with require() on the server and served as /js/corrections.js,
+ * where it is exposed as window.KlarCorrections.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KlarCorrections = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /** Error categories (key → German label) */
+    const CATEGORIES = {
+        spelling: 'Rechtschreibung',
+        grammar: 'Grammatik',
+        wordOrder: 'Wortstellung',
+        punctuation: 'Zeichensetzung',
+        wordChoice: 'Wortwahl',
+        style: 'Stil',
+        other: 'Sonstiges',
+    };
+
+    const LEGACY_MARKUP = /--(.*?)--|\+\+(.*?)\+\+/g;
+    const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+    function categoryLabel(category) {
+        return CATEGORIES[category] || CATEGORIES.other;
+    }
+
+    /**
+     * Check the raw edit list returned by the model
+     * @param {Array<Object>} edits - [{original, replacement, category, explanation}]
+     * @returns {boolean}
+     */
+    function isValidRawEdits(edits) {
+        return Array.isArray(edits) && edits.every(e => e
+            && typeof e.original === 'string'
+            && typeof e.replacement === 'string'
+            && typeof e.category === 'string'
+            && typeof e.explanation === 'string');
+    }
+
+    /**
+     * Anchor raw edits in the submission by searching for each `original` snippet
+     * in order of appearance. Edits whose snippet cannot be found are dropped.
+     * Edits keep the model's whole snippets (so mistakes keep their context in the
+     * statistics and the deck); only the display narrows them (see toSegments()).
+     * @param {string} submissionText
+     * @param {Array<Object>} rawEdits - [{original, replacement, category, explanation}]
+     * @returns {Array<Object>} Edits with start/end offsets, sorted and non-overlapping
+     */
+    function locateEdits(submissionText, rawEdits) {
+        return anchorEdits(submissionText, rawEdits).edits;
+    }
+
+    /**
+     * Like locateEdits(), but also returns the raw edits that were dropped: their
+     * `original` is not in the submission (the model rewrote text it did not mark),
+     * is empty, or overlaps an earlier edit. Edits that change nothing are not reported.
+     * @param {string} submissionText
+     * @param {Array<Object>} rawEdits
+     * @returns {{edits: Array<Object>, dropped: Array<Object>}}
+     */
+    function anchorEdits(submissionText, rawEdits) {
+        const located = [];
+        const dropped = [];
+        let cursor = 0;
+
+        rawEdits.forEach(raw => {
+            if (raw.original === raw.replacement) return;
+            if (!raw.original) {
+                dropped.push(raw);
+                return;
+            }
+
+            let start = submissionText.indexOf(raw.original, cursor);
+            if (start === -1) start = submissionText.indexOf(raw.original);
+            if (start === -1) {
+                dropped.push(raw);
+                return;
+            }
+
+            const edit = {
+                start,
+                end: start + raw.original.length,
+                original: raw.original,
+                replacement: raw.replacement,
+                category: CATEGORIES[raw.category] ? raw.category : 'other',
+                explanation: raw.explanation,
+            };
+
+            if (located.some(e => edit.start < e.end && e.start < edit.end)) {
+                dropped.push(raw);
+                return;
+            }
+            located.push(edit);
+            cursor = edit.end;
+        });
+
+        return { edits: located.sort((a, b) => a.start - b.start), dropped };
+    }
+
+    /** Trim a shared prefix/suffix when one side is contained in the other (pure insertion or deletion); for display only */
+    function narrow(edit) {
+        const { original, replacement } = edit;
+        const [longer, shorter] = original.length > replacement.length
+            ? [original, replacement]
+            : [replacement, original];
+
+        let prefix = 0;
+        while (prefix < shorter.length && longer[prefix] === shorter[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < shorter.length - prefix
+            && longer[longer.length - 1 - suffix] === shorter[shorter.length - 1 - suffix]) suffix++;
+
+        if (prefix + suffix < shorter.length) return edit;
+
+        return {
+            ...edit,
+            start: edit.start + prefix,
+            end: edit.end - suffix,
+            original: original.slice(prefix, original.length - suffix),
+            replacement: replacement.slice(prefix, replacement.length - suffix),
+        };
+    }
+
+    /**
+     * Extend an edit that starts or ends inside a word to the whole word, e.g. the
+     * insertion ""→"n" after "Jahre" becomes "Jahre"→"Jahren". Used to repair edits
+     * stored while they were narrowed to single characters.
+     * @param {string} text - The submission the edit belongs to
+     * @param {Object} edit
+     * @returns {Object} The widened edit (the same edit if it already covers whole words)
+     */
+    function widenEdit(text, edit) {
+        if (text.slice(edit.start, edit.end) !== edit.original) return edit;
+        const changed = edit.original || edit.replacement;
+        let start = edit.start;
+        let end = edit.end;
+        if (WORD_CHAR.test(changed[0] || '')) {
+            while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+        }
+        if (WORD_CHAR.test(changed[changed.length - 1] || '')) {
+            while (end < text.length && WORD_CHAR.test(text[end])) end++;
+        }
+        if (start === edit.start && end === edit.end) return edit;
+
+        return {
+            ...edit,
+            start,
+            end,
+            original: text.slice(start, end),
+            replacement: text.slice(start, edit.start) + edit.replacement + text.slice(edit.end, end),
+        };
+    }
+
+    /**
+     * Split a correction into display segments.
+     * @param {Object} source
+     * @param {string} [source.submissionText]
+     * @param {Array<Object>|null} [source.edits] - Structured edits (preferred)
+     * @param {string} [source.correction] - Legacy inline markup (fallback)
+     * @returns {Array<{type: 'equal'|'removed'|'added', text: string, edit?: Object, index?: number}>}
+     *   `index` is the 0-based position of the edit in the sorted edit list
+     */
+    function toSegments({ submissionText = '', edits = null, correction = '' } = {}) {
+        if (Array.isArray(edits)) {
+            return segmentsFromEdits(submissionText, edits);
+        }
+        return segmentsFromMarkup(correction || '');
+    }
+
+    function segmentsFromEdits(text, edits) {
+        const segments = [];
+        let last = 0;
+        edits.slice().sort((a, b) => a.start - b.start).forEach((edit, index) => {
+            if (edit.start < last) return;
+            const shown = narrow({ ...edit, original: text.slice(edit.start, edit.end) });
+            if (shown.start > last) segments.push({ type: 'equal', text: text.slice(last, shown.start) });
+            if (shown.original) segments.push({ type: 'removed', text: shown.original, edit, index });
+            if (shown.replacement) segments.push({ type: 'added', text: shown.replacement, edit, index });
+            last = shown.end;
+        });
+        if (last < text.length) segments.push({ type: 'equal', text: text.slice(last) });
+        return segments;
+    }
+
+    function segmentsFromMarkup(text) {
+        const segments = [];
+        let last = 0;
+        text.replace(LEGACY_MARKUP, (match, removed, added, idx) => {
+            if (idx > last) segments.push({ type: 'equal', text: text.slice(last, idx) });
+            if (removed !== undefined) segments.push({ type: 'removed', text: removed });
+            if (added !== undefined) segments.push({ type: 'added', text: added });
+            last = idx + match.length;
+            return match;
+        });
+        if (last < text.length) segments.push({ type: 'equal', text: text.slice(last) });
+        return segments;
+    }
+
+    /**
+     * Wrong→right pairs of a correction. Structured edits keep their category,
+     * explanation and offsets; legacy markup only yields adjacent removed/added pairs.
+     * @param {Object} source - Same shape as for toSegments()
+     * @returns {Array<{original: string, replacement: string, category?: string, explanation?: string, start?: number, end?: number}>}
+     */
+    function toPairs(source = {}) {
+        if (Array.isArray(source.edits)) {
+            return source.edits.map(e => ({ ...e }));
+        }
+
+        const pairs = [];
+        const segments = segmentsFromMarkup(source.correction || '');
+        segments.forEach((seg, i) => {
+            if (seg.type === 'removed') {
+                const next = segments[i + 1];
+                pairs.push({ original: seg.text, replacement: next?.type === 'added' ? next.text : '' });
+            } else if (seg.type === 'added' && segments[i - 1]?.type !== 'removed') {
+                pairs.push({ original: '', replacement: seg.text });
+            }
+        });
+        return pairs;
+    }
+
+    /**
+     * Render a correction as a colored HTML diff (used by the editor and the HTML export).
+     * Removed/added text gets the bg-removed/bg-added classes; structured edits carry
+     * their category and explanation as a tooltip.
+     * @param {Object} source - Same shape as for toSegments()
+     * @returns {string} HTML made of <span> and <br> only, all text escaped
+     */
+    function toHtml(source) {
+        return toSegments(source).map(seg => {
+            if (seg.type === 'equal') return escapeHtml(seg.text);
+            const css = seg.type === 'removed' ? 'bg-removed' : 'bg-added';
+            const title = seg.edit
+                ? ` title="${escapeHtml(categoryLabel(seg.edit.category) + ': ' + seg.edit.explanation)}"`
+                : '';
+            return `<span class="${css} px-1 rounded"${title}>${escapeHtml(seg.text)}</span>`;
+        }).join('');
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Render edits as legacy inline markup (kept in `correction` so the text stays editable)
+     * @param {string} submissionText
+     * @param {Array<Object>} edits
+     * @returns {string}
+     */
+    function toMarkup(submissionText, edits) {
+        return segmentsFromEdits(submissionText, edits).map(seg => {
+            if (seg.type === 'removed') return `--${seg.text}--`;
+            if (seg.type === 'added') return `++${seg.text}++`;
+            return seg.text;
+        }).join('');
+    }
+
+    return {
+        CATEGORIES,
+        categoryLabel,
+        isValidRawEdits,
+        locateEdits,
+        anchorEdits,
+        widenEdit,
+        toSegments,
+        toPairs,
+        toHtml,
+        toMarkup,
+    };
+});
@@ -0,0 +1,335 @@
+/**
+ * Klar – Validated, merging import of JSON backups
+ *
+ * A backup (see repository.exportUserData) is checked field by field before anything
+ * is written. The import plan lists per document whether it would be added, updated
+ * or left unchanged, and which clashes were resolved:
+ *   - an ID that belongs to another user's document gets a new ID
+ *   - a title that already exists in the user's list is renamed ("Titel (2)")
+ * In merge mode the user's other documents stay; replace mode swaps the whole set.
+ * Backups from older versions are upgraded (see migrations.js) once they pass validation.
+ * A full copy of the database is written to BACKUP_DIR before an import is applied.
+ */
+const repository = require('../repository');
+const migrations = require('../migrations');
+const profiles = require('./profiles');
+const { CATEGORIES } = require('./corrections');
+const { STATUSES } = require('./content-points');
+
+const MODES = ['merge', 'replace'];
+const MAX_ERRORS = 20;
+
+// Error codes (Node.js convention)
+const INVALID_BACKUP = 'INVALID_BACKUP';
+
+function createError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+// ==================== SCHEMA ====================
+
+// Field checks: each returns an error message or null
+const string = value => typeof value === 'string' ? null : 'Text erwartet';
+const nonEmptyString = value => typeof value === 'string' && value.trim() ? null : 'Darf nicht leer sein';
+const number = value => typeof value === 'number' && Number.isFinite(value) ? null : 'Zahl erwartet';
+const integer = value => Number.isInteger(value) && value >= 0 ? null : 'Ganze Zahl ≥ 0 erwartet';
+const boolean = value => typeof value === 'boolean' ? null : 'true/false erwartet';
+const date = value => typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'Datum (ISO 8601) erwartet';
+const oneOf = (...values) => value => values.includes(value) ? null : `Erlaubt: ${values.join(', ')}`;
+const nullable = check => value => value === null ? null : check(value);
+const arrayOf = check => value => {
+    if (!Array.isArray(value)) return 'Liste erwartet';
+    const index = value.findIndex(item => check(item));
+    return index === -1 ? null : `[${index}]: ${check(value[index])}`;
+};
+
+/** All problems of an object: unknown fields, invalid values and missing required fields */
+const record = (fields, required = Object.keys(fields)) => value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return ['Objekt erwartet'];
+    const problems = Object.keys(value)
+        .map(key => {
+            if (!fields[key]) return `${key}: unbekanntes Feld`;
+            const message = fields[key](value[key]);
+            return message && `${key}: ${message}`;
+        })
+        .filter(Boolean);
+    required.filter(key => value[key] === undefined).forEach(key => problems.push(`${key}: Pflichtfeld`));
+    return problems;
+};
+const shape = (fields, required) => value => record(fields, required)(value)[0] || null;
+
+const edit = shape({
+    start: integer,
+    end: integer,
+    original: string,
+    replacement: string,
+    category: oneOf(...Object.keys(CATEGORIES)),
+    explanation: string,
+});
+
+/** Edit of a review that could not be anchored in the submission (no offsets) */
+const rawEdit = shape({
+    original: string,
+    replacement: string,
+    category: oneOf(...Object.keys(CATEGORIES)),
+    explanation: string,
+});
+
+/** Highest maximum of each criterion over all exam profiles (reviews are checked without their document) */
+const CRITERION_MAX = new Map();
+profiles.PROFILES.forEach(profile => profile.criteria.forEach(({ key, max }) => {
+    CRITERION_MAX.set(key, Math.max(CRITERION_MAX.get(key) || 0, max));
+}));
+
+const criteria = value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Objekt erwartet';
+    for (const [key, entry] of Object.entries(value)) {
+        const max = CRITERION_MAX.get(key);
+        if (max === undefined) return `${key}: unbekanntes Kriterium`;
+        const message = shape({ score: number, justification: string })(entry);
+        if (message) return `${key}.${message}`;
+        if (entry.score < 0 || entry.score > max) return `${key}.score: 0–${max} erwartet`;
+    }
+    return null;
+};
+
+const coverage = shape({
+    point: string,
+    status: oneOf(...STATUSES),
+    evidence: string,
+});
+
+const REVIEW_FIELDS = {
+    task: string,
+    submissionText: string,
+    reviewScore: nullable(number),
+    reviewCriteria: nullable(criteria),
+    reviewFeedback: string,
+    correction: string,
+    edits: nullable(arrayOf(edit)),
+    droppedEdits: nullable(arrayOf(rawEdit)),
+    contentCoverage: nullable(arrayOf(coverage)),
+    promptVersion: nullable(integer),
+};
+
+const SCHEMAS = {
+    documents: record({
+        id: nonEmptyString,
+        userId: string,
+        title: nonEmptyString,
+        creationDate: date,
+        mode: oneOf('practice', 'exam'),
+        profile: oneOf(...profiles.PROFILES.map(profile => profile.id)),
+        tags: arrayOf(nonEmptyString),
+        durationMinutes: nullable(number),
+        startedAt: nullable(date),
+        submittedAt: nullable(date),
+        autoSubmitted: boolean,
+        topic: nullable(string),
+        exerciseId: nullable(string),
+    }, ['id', 'title', 'creationDate']),
+    contents: record({ documentId: nonEmptyString, contentPoints: arrayOf(string), modelAnswer: nullable(string), ...REVIEW_FIELDS },
+        ['documentId']),
+    attempts: record({ documentId: nonEmptyString, number: integer, createdAt: date, ...REVIEW_FIELDS },
+        ['documentId', 'number', 'createdAt']),
+    cards: record({
+        id: nonEmptyString,
+        userId: string,
+        key: nonEmptyString,
+        original: string,
+        replacement: string,
+        category: string,
+        explanation: string,
+        before: string,
+        after: string,
+        sources: arrayOf(string),
+        createdAt: date,
+        due: date,
+        interval: number,
+        ease: number,
+        repetitions: integer,
+        lapses: integer,
+        history: arrayOf(shape({ at: date, answer: string, correct: boolean })),
+    }, ['key', 'original', 'replacement', 'sources', 'due', 'interval', 'ease', 'repetitions', 'lapses', 'history']),
+};
+
+/**
+ * Check every record of a backup and the references between them
+ * @param {Object} data - Parsed backup
+ * @throws {Error} code=INVALID_BACKUP with `details` (list of "path: problem")
+ */
+function validateBackup(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.documents) || !Array.isArray(data.contents)) {
+        throw createError(INVALID_BACKUP, 'Ungültiges Datenbankformat', ['documents und contents müssen Listen sein']);
+    }
+    if (migrations.versionOf(data) > migrations.SCHEMA_VERSION) {
+        throw createError(INVALID_BACKUP, 'Sicherung stammt von einer neueren Klar-Version',
+            [`schemaVersion: höchstens ${migrations.SCHEMA_VERSION} unterstützt`]);
+    }
+
+    const errors = [];
+    Object.entries(SCHEMAS).forEach(([collection, check]) => {
+        if (data[collection] === undefined) return;
+        if (!Array.isArray(data[collection])) {
+            errors.push(`${collection}: Liste erwartet`);
+            return;
+        }
+        data[collection].forEach((item, i) => {
+            check(item).forEach(message => errors.push(`${collection}[${i}].${message}`));
+        });
+    });
+
+    if (!errors.length) {
+        const ids = new Set();
+        data.documents.forEach((doc, i) => {
+            if (ids.has(doc.id)) errors.push(`documents[${i}].id: doppelt (${doc.id})`);
+            ids.add(doc.id);
+        });
+        const contentIds = new Set();
+        data.contents.forEach((content, i) => {
+            if (!ids.has(content.documentId)) errors.push(`contents[${i}].documentId: unbekanntes Dokument`);
+            if (contentIds.has(content.documentId)) errors.push(`contents[${i}].documentId: doppelter Inhalt`);
+            contentIds.add(content.documentId);
+        });
+        const attemptKeys = new Set();
+        (data.attempts || []).forEach((attempt, i) => {
+            const key = `${attempt.documentId}#${attempt.number}`;
+            if (!ids.has(attempt.documentId)) errors.push(`attempts[${i}].documentId: unbekanntes Dokument`);
+            if (attemptKeys.has(key)) errors.push(`attempts[${i}].number: doppelt`);
+            attemptKeys.add(key);
+        });
+    }
+
+    if (errors.length) {
+        throw createError(INVALID_BACKUP, 'Ungültiges Datenbankformat', errors.slice(0, MAX_ERRORS));
+    }
+}
+
+// ==================== PLAN ====================
+
+/** Everything stored for one document, for change detection (owner and key order ignored) */
+function fingerprint(document, data) {
+    const { userId: _userId, ...fields } = document;
+    return JSON.stringify(sortKeys([
+        fields,
+        data.contents.find(c => c.documentId === document.id) || {},
+        (data.attempts || []).filter(a => a.documentId === document.id).sort((a, b) => a.number - b.number),
+    ]));
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/** "Titel (2)", "Titel (3)", … – first variant not in use */
+function uniqueTitle(title, usedTitles) {
+    let n = 2;
+    while (usedTitles.has(`${title} (${n})`)) n++;
+    return `${title} (${n})`;
+}
+
+/**
+ * Work out what an import would do, without writing anything
+ * @param {Object} data - Validated backup
+ * @param {Object} context
+ * @param {Object} context.existing - The user's current data (repository.exportUserData)
+ * @param {Set<string>} context.foreignIds - Document IDs owned by other users
+ * @param {'merge'|'replace'} context.mode
+ * @returns {{items: Array<Object>, removed: Array<Object>, summary: Object, records: Object, renewIds: Set<string>}}
+ */
+function planImport(data, { existing, foreignIds, mode }) {
+    const own = mode === 'merge' ? existing.documents : [];
+    const ownById = new Map(own.map(doc => [doc.id, doc]));
+    const backupIds = new Set(data.documents.map(doc => doc.id));
+    const usedTitles = new Set(own.filter(doc => !backupIds.has(doc.id)).map(doc => doc.title));
+    const renewIds = new Set();
+
+    const items = data.documents.map(doc => {
+        const current = ownById.get(doc.id);
+        const conflicts = [];
+        let action = 'add';
+
+        if (current) {
+            action = fingerprint(current, existing) === fingerprint(doc, data) ? 'unchanged' : 'update';
+        } else if (foreignIds.has(doc.id)) {
+            renewIds.add(doc.id);
+            conflicts.push('ID wird bereits verwendet – neue ID wird vergeben');
+        }
+
+        let title = doc.title;
+        if (usedTitles.has(title)) {
+            title = uniqueTitle(doc.title, usedTitles);
+            conflicts.push(`Titel existiert bereits – umbenannt in „${title}“`);
+            if (action === 'unchanged') action = 'update';
+        }
+        usedTitles.add(title);
+
+        return { id: doc.id, title: doc.title, importedTitle: title, action, conflicts };
+    });
+
+    const titles = new Map(items.map(item => [item.id, item.importedTitle]));
+    const removed = mode === 'replace'
+        ? existing.documents.filter(doc => !backupIds.has(doc.id)).map(doc => ({ id: doc.id, title: doc.title }))
+        : [];
+
+    return {
+        items,
+        removed,
+        summary: {
+            added: items.filter(item => item.action === 'add').length,
+            updated: items.filter(item => item.action === 'update').length,
+            unchanged: items.filter(item => item.action === 'unchanged').length,
+            conflicts: items.filter(item => item.conflicts.length).length,
+            removed: removed.length,
+        },
+        records: {
+            documents: data.documents.map(doc => ({ ...doc, title: titles.get(doc.id) })),
+            contents: data.contents,
+            attempts: data.attempts || [],
+            cards: data.cards || [],
+        },
+        renewIds,
+    };
+}
+
+// ==================== IMPORT ====================
+
+/**
+ * Validate a backup, plan the import and (unless dry run) apply it after backing up the database
+ * @param {string} userId - Importing user; all records become theirs
+ * @param {Object} data - Parsed backup
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge'] - Keep (merge) or drop (replace) documents missing from the backup
+ * @param {boolean} [options.dryRun=false] - Only return the plan
+ * @returns {Promise<{mode: string, dryRun: boolean, summary: Object, items: Array, removed: Array, backup: string|null}>}
+ * @throws {Error} code=INVALID_BACKUP if the backup fails validation
+ */
+async function importBackup(userId, data, { mode = 'merge', dryRun = false } = {}) {
+    validateBackup(data);
+    migrations.migrate(data);
+
+    const existing = await repository.exportUserData(userId);
+    const foreignIds = await repository.getForeignDocumentIds(userId);
+    const plan = planImport(data, { existing, foreignIds, mode });
+
+    let backup = null;
+    if (!dryRun) {
+        backup = await repository.backupDatabase();
+        await repository.importUserData(userId, plan.records, { replace: mode === 'replace', renewIds: plan.renewIds });
+    }
+
+    return { mode, dryRun, summary: plan.summary, items: plan.items, removed: plan.removed, backup };
+}
+
+module.exports = {
+    MODES,
+    INVALID_BACKUP,
+    validateBackup,
+    planImport,
+    importBackup,
+};
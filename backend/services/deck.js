@@ -0,0 +1,217 @@
+/**
+ * Klar – Personal mistake deck with spaced repetition
+ *
+ * Every wrong→right pair from a review becomes a card. Cards are scheduled with
+ * a simplified SM-2 algorithm: a correct answer pushes the next repetition further
+ * out (1 day, 3 days, then interval × ease), a wrong answer brings it back in 10 minutes.
+ */
+const repository = require('../repository');
+const corrections = require('./corrections');
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.0;
+const RETRY_MINUTES = 10;
+const CONTEXT_CHARS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build new cards from the current review of a document
+ * @param {Object} item - Content of a document with its id and userId: {id, userId, submissionText, edits, correction}
+ * @returns {Array<Object>}
+ */
+function cardsFromReview(item) {
+    const now = new Date().toISOString();
+    const text = item.submissionText || '';
+
+    return corrections.toPairs(item)
+        .filter(pair => pair.replacement.trim())
+        .map(pair => {
+            const context = pair.start !== undefined
+                ? contextOf(text, pair.start, pair.end)
+                : { before: '', after: '' };
+            return {
+                userId: item.userId,
+                key: cardKey(pair, context),
+                original: pair.original,
+                replacement: pair.replacement,
+                category: pair.category || 'other',
+                explanation: pair.explanation || '',
+                before: context.before,
+                after: context.after,
+                sources: [item.id],
+                createdAt: now,
+                due: now,
+                interval: 0,
+                ease: DEFAULT_EASE,
+                repetitions: 0,
+                lapses: 0,
+                history: [],
+            };
+        });
+}
+
+/** The same mistake made again maps to the same card; insertions are told apart by their neighbouring words */
+function cardKey(pair, context) {
+    const parts = [pair.original.trim().toLowerCase(), pair.replacement.trim()];
+    if (!pair.original.trim()) {
+        parts.unshift(context.before.trim().split(/\s+/).pop().toLowerCase());
+        parts.push(context.after.trim().split(/\s+/)[0].toLowerCase());
+    }
+    return parts.join('|');
+}
+
+/** Text around an edit, limited to its sentence and CONTEXT_CHARS characters on each side */
+function contextOf(text, start, end) {
+    const sentenceStart = Math.max(
+        text.lastIndexOf('.', start - 1), text.lastIndexOf('!', start - 1),
+        text.lastIndexOf('?', start - 1), text.lastIndexOf('\n', start - 1)
+    ) + 1;
+    const ends = ['.', '!', '?', '\n']
+        .map(ch => text.indexOf(ch, end))
+        .filter(i => i !== -1);
+    const sentenceEnd = ends.length ? Math.min(...ends) + 1 : text.length;
+
+    return {
+        before: text.slice(Math.max(sentenceStart, start - CONTEXT_CHARS), start).trim(),
+        after: text.slice(end, Math.min(sentenceEnd, end + CONTEXT_CHARS)).trim(),
+    };
+}
+
+/**
+ * Add the mistakes of one document's review to the deck
+ * @param {string} documentId
+ * @returns {Promise<number>} Number of new cards
+ */
+async function addFromDocument(documentId) {
+    const document = await repository.getDocument(documentId);
+    if (!document) return 0;
+    const content = await repository.getContent(documentId);
+    return repository.addCards(cardsFromReview({ ...content, id: document.id, userId: document.userId }));
+}
+
+/**
+ * Add the mistakes of all of a user's stored reviews to their deck (for reviews made before the deck existed)
+ * @param {string} userId
+ * @returns {Promise<number>} Number of new cards
+ */
+async function syncAll(userId) {
+    const data = await repository.getAllDocumentsWithContent({ userId });
+    return repository.addCards(data.flatMap(cardsFromReview));
+}
+
+/**
+ * Cards due for repetition, most overdue first
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.userId] - Only the deck of this user
+ * @returns {Promise<Array<Object>>}
+ */
+async function getDueCards({ limit = 20, userId } = {}) {
+    const now = Date.now();
+    const cards = await repository.getCards(userId);
+    return cards
+        .filter(card => new Date(card.due).getTime() <= now)
+        .sort((a, b) => new Date(a.due) - new Date(b.due))
+        .slice(0, limit);
+}
+
+/** Compare answers ignoring surrounding and repeated whitespace (case matters in German) */
+function isCorrect(answer, expected) {
+    const normalize = value => String(value ?? '').trim().replace(/\s+/g, ' ');
+    return normalize(answer) === normalize(expected);
+}
+
+/**
+ * Next scheduling state of a card after an answer
+ * @param {Object} card
+ * @param {boolean} correct
+ * @param {Date} [now]
+ * @returns {{due: string, interval: number, ease: number, repetitions: number, lapses: number}}
+ */
+function schedule(card, correct, now = new Date()) {
+    if (!correct) {
+        return {
+            due: new Date(now.getTime() + RETRY_MINUTES * 60 * 1000).toISOString(),
+            interval: 0,
+            ease: Math.max(MIN_EASE, card.ease - 0.2),
+            repetitions: 0,
+            lapses: card.lapses + 1,
+        };
+    }
+
+    const repetitions = card.repetitions + 1;
+    const interval = repetitions === 1 ? 1 : repetitions === 2 ? 3 : Math.round(card.interval * card.ease);
+    return {
+        due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+        interval,
+        ease: Math.min(MAX_EASE, card.ease + 0.1),
+        repetitions,
+        lapses: card.lapses,
+    };
+}
+
+/**
+ * Check a drill answer, record it and reschedule the card
+ * @param {string} cardId
+ * @param {string} answer - What the learner typed
+ * @param {string} [userId] - Only if the card belongs to this user
+ * @returns {Promise<{correct: boolean, expected: string, card: Object}>}
+ * @throws {Error} code=CARD_NOT_FOUND if not found
+ */
+async function answerCard(cardId, answer, userId) {
+    const card = await repository.getCard(cardId, userId);
+    if (!card) {
+        const error = new Error('Card not found');
+        error.code = repository.CARD_NOT_FOUND;
+        throw error;
+    }
+
+    const now = new Date();
+    const correct = isCorrect(answer, card.replacement);
+    const updated = await repository.updateCard(cardId, {
+        ...schedule(card, correct, now),
+        history: [...card.history, { at: now.toISOString(), answer: String(answer ?? ''), correct }],
+    });
+
+    return { correct, expected: card.replacement, card: updated };
+}
+
+/**
+ * Export the deck as an Anki-compatible CSV (semicolon separated, HTML fields, tags in column 3)
+ * @param {Array<Object>} cards
+ * @returns {string}
+ */
+function toAnkiCsv(cards) {
+    const header = ['#separator:Semicolon', '#html:true', '#tags column:3'];
+    const rows = cards.map(card => {
+        const front = `${escapeHtml(card.before)} <b>${escapeHtml(card.original) || '▢'}</b> ${escapeHtml(card.after)}`.trim();
+        const back = `<b>${escapeHtml(card.replacement)}</b>`
+            + (card.explanation ? `<br>${escapeHtml(card.explanation)}` : '');
+        const tags = `klar ${card.category}`;
+        return [front, back, tags].map(csvField).join(';');
+    });
+    return [...header, ...rows].join('\n') + '\n';
+}
+
+function csvField(value) {
+    return /[;"\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    cardsFromReview,
+    addFromDocument,
+    syncAll,
+    getDueCards,
+    answerCard,
+    schedule,
+    toAnkiCsv,
+};
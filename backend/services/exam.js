@@ -0,0 +1,198 @@
+/**
+ * Klar – Timed exam simulation
+ *
+ * An exam document gets a start time when the learner starts the clock. At the
+ * deadline (plus a short grace period for the last autosave) the server locks the
+ * submission and sends it for review, even if the browser has been closed.
+ */
+const repository = require('../repository');
+const jobs = require('./jobs');
+
+/** Time allowed after the deadline for the last autosave to arrive */
+const GRACE_MS = 5000;
+
+// Error codes (Node.js convention)
+const EXAM_NOT_STARTED = 'EXAM_NOT_STARTED';
+const EXAM_LOCKED = 'EXAM_LOCKED';
+
+const timers = new Map();
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isExam(document) {
+    return document?.mode === 'exam';
+}
+
+/**
+ * Deadline of a started exam
+ * @param {Object} document
+ * @returns {Date|null}
+ */
+function getDeadline(document) {
+    if (!isExam(document) || !document.startedAt) return null;
+    return new Date(new Date(document.startedAt).getTime() + document.durationMinutes * 60 * 1000);
+}
+
+/** An exam is locked once it was submitted or its deadline (plus grace) has passed */
+function isLocked(document, now = Date.now()) {
+    if (!isExam(document)) return false;
+    if (document.submittedAt) return true;
+    const deadline = getDeadline(document);
+    return !!deadline && now > deadline.getTime() + GRACE_MS;
+}
+
+/**
+ * Timing summary of an exam for lists and exports
+ * @param {Object} document
+ * @returns {{durationMs: number, onTime: boolean, autoSubmitted: boolean}|null} null unless submitted
+ */
+function summarize(document) {
+    if (!isExam(document) || !document.startedAt || !document.submittedAt) return null;
+    const durationMs = new Date(document.submittedAt) - new Date(document.startedAt);
+    return {
+        durationMs,
+        onTime: new Date(document.submittedAt).getTime() <= getDeadline(document).getTime() + GRACE_MS,
+        autoSubmitted: !!document.autoSubmitted,
+    };
+}
+
+/** Format a duration as mm:ss */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Human-readable exam status for the document list and the PDF
+ * @param {Object} document
+ * @returns {string} Empty for practice documents
+ */
+function describeTiming(document) {
+    if (!isExam(document)) return '';
+    if (!document.startedAt) return 'Prüfung · nicht gestartet';
+    const summary = summarize(document);
+    if (!summary) return 'Prüfung läuft';
+
+    const status = summary.autoSubmitted
+        ? 'automatisch abgegeben'
+        : (summary.onTime ? 'rechtzeitig abgegeben' : 'verspätet abgegeben');
+    return `Prüfung · ${formatDuration(summary.durationMs)} Min. · ${status}`;
+}
+
+/**
+ * Start the clock of an exam (idempotent: a running exam keeps its start time)
+ * @param {string} documentId
+ * @returns {Promise<Object>} Updated document
+ */
+async function startExam(documentId) {
+    const document = await repository.getDocument(documentId);
+    if (!document) {
+        throw createError(repository.DOCUMENT_NOT_FOUND, 'Document not found');
+    }
+    if (!isExam(document) || document.startedAt) {
+        return document;
+    }
+
+    const started = await repository.updateDocument(documentId, { startedAt: new Date().toISOString() });
+    scheduleDeadline(started);
+    return started;
+}
+
+/**
+ * Check that a document can be handed in: an exam needs a started clock
+ * @param {string} documentId
+ * @throws {Error} code=EXAM_NOT_STARTED if the clock of an exam was never started
+ */
+async function assertSubmittable(documentId) {
+    const document = await repository.getDocument(documentId);
+    if (isExam(document) && !document.submittedAt && !document.startedAt) {
+        throw createError(EXAM_NOT_STARTED, 'Die Prüfung wurde noch nicht gestartet');
+    }
+}
+
+/**
+ * Record the submission time of an exam before its review
+ * @param {string} documentId
+ * @throws {Error} code=EXAM_NOT_STARTED if the clock was never started
+ */
+async function submitExam(documentId) {
+    await assertSubmittable(documentId);
+    const document = await repository.getDocument(documentId);
+    if (!isExam(document) || document.submittedAt) return;
+
+    clearTimeout(timers.get(documentId));
+    timers.delete(documentId);
+    await repository.updateDocument(documentId, { submittedAt: new Date().toISOString() });
+}
+
+/**
+ * Reject changes to the task or submission of a locked exam
+ * @param {string} documentId
+ * @param {Object} changes - Incoming content fields
+ * @throws {Error} code=EXAM_LOCKED if the text would change after the deadline
+ */
+async function assertEditable(documentId, changes) {
+    const document = await repository.getDocument(documentId);
+    if (!isLocked(document)) return;
+
+    const content = await repository.getContent(documentId);
+    const changed = ['task', 'submissionText'].some(field =>
+        changes[field] !== undefined && changes[field] !== (content[field] ?? ''));
+    if (changed) {
+        throw createError(EXAM_LOCKED, 'Die Bearbeitungszeit ist abgelaufen');
+    }
+}
+
+/** Lock the exam at its deadline and send the text for review */
+async function expire(documentId) {
+    timers.delete(documentId);
+    const document = await repository.getDocument(documentId);
+    if (!isExam(document) || document.submittedAt) return;
+
+    await repository.updateDocument(documentId, {
+        submittedAt: getDeadline(document).toISOString(),
+        autoSubmitted: true,
+    });
+
+    await jobs.enqueue({ type: 'review', userId: document.userId, payload: { documentId } });
+    console.log(`⏰ Exam ${documentId} submitted automatically`);
+}
+
+function scheduleDeadline(document) {
+    clearTimeout(timers.get(document.id));
+    const delay = Math.max(0, getDeadline(document).getTime() + GRACE_MS - Date.now());
+    timers.set(document.id, setTimeout(() => {
+        expire(document.id).catch(error => console.error('Error expiring exam:', error));
+    }, delay));
+}
+
+/**
+ * Re-arm the deadlines of running exams after a server restart
+ * (exams whose deadline passed while the server was down are submitted right away)
+ */
+async function restoreTimers() {
+    const data = await repository.getAllDocumentsWithContent();
+    data.filter(doc => isExam(doc) && doc.startedAt && !doc.submittedAt).forEach(scheduleDeadline);
+}
+
+module.exports = {
+    EXAM_NOT_STARTED,
+    EXAM_LOCKED,
+    isExam,
+    getDeadline,
+    isLocked,
+    summarize,
+    formatDuration,
+    describeTiming,
+    startExam,
+    assertSubmittable,
+    submitExam,
+    assertEditable,
+    restoreTimers,
+};
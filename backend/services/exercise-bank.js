@@ -0,0 +1,234 @@
+/**
+ * Klar – Exercise bank: curated task sets shared by all learners
+ *
+ * Admins import task sets (e.g. official practice sets) from JSON or YAML once;
+ * learners draw a random task they have not practised yet, which becomes a new
+ * exercise of theirs. Importing a set again updates its tasks by title.
+ *
+ * Task set file (YAML or JSON; a plain list of tasks works too):
+ *   set: TELC B1 – Übungssatz 1        name of the set (or given with the import)
+ *   profile: telc-b1-email             exam profile of its tasks (default TELC B1 e-mail)
+ *   exercises:
+ *     - title: Beschwerde über den Sprachkurs
+ *       topic: Sprachkurs              optional, short description of the scenario
+ *       profile: telc-b2-letter        optional, overrides the set's profile
+ *       task: |
+ *         Sie haben einen Sprachkurs besucht …
+ *
+ * Bank entry: {id, set, title, topic, profile, task, createdAt, createdBy, updatedAt}
+ */
+const yaml = require('js-yaml');
+const repository = require('../repository');
+const profiles = require('./profiles');
+const { extractContentPoints } = require('./content-points');
+
+const MAX_EXERCISES = 500;
+const MAX_TITLE_CHARS = 120;
+const MAX_ERRORS = 20;
+/** Already practised exercises passed to the AI when it generates a new one (most recent first) */
+const MAX_PRACTISED = 40;
+
+// Error codes (Node.js convention)
+const INVALID_TASK_SET = 'INVALID_TASK_SET';
+const SET_NOT_FOUND = 'SET_NOT_FOUND';
+const NO_UNUSED_EXERCISE = 'NO_UNUSED_EXERCISE';
+
+function createError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+// ==================== IMPORT ====================
+
+/**
+ * Parse and check a task set
+ * @param {string} text - Content of a YAML or JSON file (JSON is valid YAML)
+ * @param {Object} [options]
+ * @param {string} [options.set] - Set name if the file has none
+ * @returns {{set: string, exercises: Array<{title: string, topic: string|null, profile: string, task: string}>}}
+ * @throws {Error} code=INVALID_TASK_SET with `details` (list of "path: problem")
+ */
+function parseTaskSet(text, { set } = {}) {
+    let data;
+    try {
+        data = yaml.load(String(text ?? ''), { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+        throw createError(INVALID_TASK_SET, 'Die Datei ist kein gültiges YAML oder JSON', [error.reason || error.message]);
+    }
+    if (Array.isArray(data)) data = { exercises: data };
+    if (!data || typeof data !== 'object' || !Array.isArray(data.exercises)) {
+        throw createError(INVALID_TASK_SET, 'Ungültiger Aufgabensatz', ['exercises: Liste der Aufgaben erwartet']);
+    }
+
+    const errors = [];
+    const name = typeof data.set === 'string' && data.set.trim() ? data.set.trim() : set?.trim();
+    if (!name) errors.push('set: Name des Aufgabensatzes fehlt');
+    const defaultProfile = data.profile ?? profiles.DEFAULT_PROFILE;
+    if (!profiles.isProfile(defaultProfile)) errors.push(`profile: unbekannte Prüfung „${defaultProfile}“`);
+    if (!data.exercises.length) errors.push('exercises: Der Satz enthält keine Aufgaben');
+    if (data.exercises.length > MAX_EXERCISES) errors.push(`exercises: höchstens ${MAX_EXERCISES} Aufgaben pro Satz`);
+
+    const titles = new Set();
+    const exercises = data.exercises.map((entry, i) => {
+        const problems = checkEntry(entry);
+        const title = typeof entry?.title === 'string' ? entry.title.trim() : '';
+        if (titles.has(title)) problems.push(`title: „${title}“ kommt doppelt vor`);
+        titles.add(title);
+        errors.push(...problems.map(problem => `exercises[${i}].${problem}`));
+        return problems.length ? null : {
+            title,
+            topic: entry.topic?.trim() || null,
+            profile: entry.profile ?? defaultProfile,
+            task: entry.task.trim(),
+        };
+    });
+
+    if (errors.length) {
+        throw createError(INVALID_TASK_SET, 'Ungültiger Aufgabensatz', errors.slice(0, MAX_ERRORS));
+    }
+    return { set: name, exercises };
+}
+
+/** Problems of one task entry ("field: problem") */
+function checkEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['Objekt mit title und task erwartet'];
+    const problems = [];
+    if (typeof entry.title !== 'string' || !entry.title.trim()) problems.push('title: Pflichtfeld');
+    else if (entry.title.trim().length > MAX_TITLE_CHARS) problems.push(`title: höchstens ${MAX_TITLE_CHARS} Zeichen`);
+    if (typeof entry.task !== 'string' || !entry.task.trim()) problems.push('task: Pflichtfeld');
+    if (entry.topic != null && typeof entry.topic !== 'string') problems.push('topic: Text erwartet');
+    if (entry.profile != null && !profiles.isProfile(entry.profile)) problems.push(`profile: unbekannte Prüfung „${entry.profile}“`);
+    const unknown = Object.keys(entry).filter(key => !['title', 'topic', 'profile', 'task'].includes(key));
+    unknown.forEach(key => problems.push(`${key}: unbekanntes Feld`));
+    return problems;
+}
+
+/**
+ * Import a task set into the bank; tasks of the set with the same title are updated
+ * @param {string} text - YAML or JSON (see parseTaskSet)
+ * @param {Object} [options]
+ * @param {string} [options.set] - Set name if the file has none
+ * @param {string} [options.userId] - Admin who imports the set
+ * @returns {Promise<{set: string, added: number, updated: number}>}
+ * @throws {Error} code=INVALID_TASK_SET (see parseTaskSet)
+ */
+async function importTaskSet(text, { set, userId = null } = {}) {
+    const parsed = parseTaskSet(text, { set });
+    const result = await repository.importBankExercises(parsed.set, parsed.exercises, { createdBy: userId });
+    return { set: parsed.set, ...result };
+}
+
+// ==================== SETS ====================
+
+/**
+ * The task sets of the bank, with the number of tasks a learner has not practised yet
+ * @param {string} userId
+ * @returns {Promise<Array<{set: string, total: number, unused: number, profiles: Array<string>, unusedByProfile: Object}>>}
+ *   Sorted by name; unusedByProfile maps each exam profile of the set to its number of unused tasks
+ */
+async function listSets(userId) {
+    const used = await repository.getDrawnExerciseIds(userId);
+    const sets = new Map();
+    for (const exercise of await repository.getBankExercises()) {
+        const entry = sets.get(exercise.set) || { set: exercise.set, total: 0, unused: 0, profiles: [], unusedByProfile: {} };
+        const unused = used.has(exercise.id) ? 0 : 1;
+        entry.total++;
+        entry.unused += unused;
+        if (!entry.profiles.includes(exercise.profile)) entry.profiles.push(exercise.profile);
+        entry.unusedByProfile[exercise.profile] = (entry.unusedByProfile[exercise.profile] ?? 0) + unused;
+        sets.set(exercise.set, entry);
+    }
+    return [...sets.values()].sort((a, b) => a.set.localeCompare(b.set, 'de'));
+}
+
+/**
+ * The tasks of one set
+ * @param {string} set
+ * @returns {Promise<Array<Object>>} Bank entries in import order
+ * @throws {Error} code=SET_NOT_FOUND
+ */
+async function getSet(set) {
+    const exercises = await repository.getBankExercises({ set });
+    if (!exercises.length) {
+        throw createError(SET_NOT_FOUND, 'Aufgabensatz nicht gefunden');
+    }
+    return exercises;
+}
+
+/**
+ * Remove a task set from the bank (exercises already drawn from it stay)
+ * @param {string} set
+ * @throws {Error} code=SET_NOT_FOUND
+ */
+async function deleteSet(set) {
+    if (!await repository.deleteBankSet(set)) {
+        throw createError(SET_NOT_FOUND, 'Aufgabensatz nicht gefunden');
+    }
+}
+
+// ==================== DRAW ====================
+
+/**
+ * Turn a random task the learner has not practised yet into a new exercise of theirs.
+ * A title the learner already uses gets a number ("Titel (2)").
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.set] - Only from this set
+ * @param {string} [options.profile] - Only tasks of this exam profile
+ * @param {'practice'|'exam'} [options.mode='practice'] - Exam mode uses the profile's time limit
+ * @returns {Promise<Object>} The new document
+ * @throws {Error} code=NO_UNUSED_EXERCISE if every matching task has been practised
+ */
+async function drawExercise(userId, { set, profile, mode = 'practice' } = {}) {
+    const used = await repository.getDrawnExerciseIds(userId);
+    const candidates = (await repository.getBankExercises({ set }))
+        .filter(exercise => !profile || exercise.profile === profile)
+        .filter(exercise => !used.has(exercise.id));
+    if (!candidates.length) {
+        throw createError(NO_UNUSED_EXERCISE, 'Keine neuen Aufgaben mehr in der Aufgabenbank');
+    }
+
+    const exercise = candidates[Math.floor(Math.random() * candidates.length)];
+    const options = {
+        userId,
+        profile: exercise.profile,
+        exerciseId: exercise.id,
+        topic: exercise.topic,
+        ...(mode === 'exam' ? { mode, durationMinutes: profiles.getProfile(exercise.profile).minutes } : { mode: 'practice' }),
+    };
+
+    for (let n = 1; ; n++) {
+        try {
+            const document = await repository.createDocument(n === 1 ? exercise.title : `${exercise.title} (${n})`, options);
+            await repository.upsertContent({ documentId: document.id, task: exercise.task, contentPoints: extractContentPoints(exercise.task) });
+            return document;
+        } catch (error) {
+            if (error.code !== repository.DUPLICATE_DOCUMENT) throw error;
+        }
+    }
+}
+
+/**
+ * Titles and topics of the exercises a learner has practised, so generation can avoid them
+ * @param {string} userId
+ * @returns {Promise<Array<{title: string, topic: string|null}>>} The most recent MAX_PRACTISED
+ */
+async function practisedExercises(userId) {
+    const documents = await repository.getDocuments({ userId, limit: MAX_PRACTISED });
+    return documents.documents.map(doc => ({ title: doc.title, topic: doc.topic ?? null }));
+}
+
+module.exports = {
+    INVALID_TASK_SET,
+    SET_NOT_FOUND,
+    NO_UNUSED_EXERCISE,
+    parseTaskSet,
+    importTaskSet,
+    listSets,
+    getSet,
+    deleteSet,
+    drawExercise,
+    practisedExercises,
+};
@@ -0,0 +1,246 @@
+/**
+ * Klar – Export formats (PDF, Markdown, standalone HTML, CSV)
+ *
+ * Every format renders the same document set (see repository.getAllDocumentsWithContent)
+ * and is served by GET /api/export/:format.
+ */
+const profiles = require('./profiles');
+const corrections = require('./corrections');
+const exam = require('./exam');
+const pdfExport = require('./pdf-export');
+const { countWords } = require('./stats');
+
+const FORMATS = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf', render: pdfExport.generatePdf },
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: toMarkdown },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: toHtml },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: toCsv },
+};
+
+/**
+ * Render documents in one of the export formats
+ * @param {'pdf'|'md'|'html'|'csv'} format
+ * @param {Array<Object>} data - Documents with content
+ * @param {Object} [options]
+ * @param {string} [options.owner] - Name of the learner
+ * @param {string} [options.selection] - Description of the exported selection (filters)
+ * @param {boolean} [options.modelAnswers] - Add the model answers (PDF only)
+ * @returns {Promise<Buffer>}
+ */
+async function render(format, data, options = {}) {
+    const output = await FORMATS[format].render(data, options);
+    return Buffer.isBuffer(output) ? output : Buffer.from(output, 'utf8');
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString('de-DE') : '';
+}
+
+function scoreLine(item) {
+    const profile = profiles.getProfile(item.profile);
+    const result = profiles.isPassed(item.reviewScore, profile) ? 'bestanden' : 'nicht bestanden';
+    return `${item.reviewScore} / ${profile.maxScore} (${result})`;
+}
+
+/** Export header line: date, document count and selection */
+function metaLine(data, { owner = '', selection = '' }) {
+    return [
+        owner ? 'Lernende/r: ' + owner : '',
+        'Exportiert am ' + new Date().toLocaleDateString('de-DE'),
+        data.length + ' Dokument' + (data.length !== 1 ? 'e' : ''),
+        selection,
+    ].filter(Boolean).join(' · ');
+}
+
+// ==================== MARKDOWN ====================
+
+/** Escape characters that would start inline formatting */
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/([\\*_~`])/g, '\\$1');
+}
+
+/** Wrap text in a marker, keeping surrounding whitespace outside (`~~ x~~` would not render) */
+function wrap(text, marker) {
+    const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    return core ? `${lead}${marker}${escapeMarkdown(core)}${marker}${trail}` : text;
+}
+
+/**
+ * Markdown: removed text as ~~strikethrough~~, added text in **bold**
+ * @returns {string}
+ */
+function toMarkdown(data, options = {}) {
+    const lines = ['# Klar – Übungen', '', `_${escapeMarkdown(metaLine(data, options))}_`, ''];
+
+    data.forEach(item => {
+        lines.push(`## ${escapeMarkdown(item.title || 'Ohne Titel')}`, '');
+        lines.push(`_${[formatDate(item.creationDate), profiles.getProfile(item.profile).label, exam.describeTiming(item)].filter(Boolean).join(' · ')}_`, '');
+
+        if (item.reviewScore != null) {
+            lines.push(`**Punkte:** ${scoreLine(item)}`, '');
+        }
+        if (item.reviewCriteria) {
+            lines.push('| Kriterium | Punkte | Begründung |', '|---|---|---|');
+            profiles.getProfile(item.profile).criteria.forEach(({ key, label, max }) => {
+                const entry = item.reviewCriteria[key];
+                if (!entry) return;
+                const justification = escapeMarkdown(entry.justification || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+                lines.push(`| ${label} | ${entry.score} / ${max} | ${justification} |`);
+            });
+            lines.push('');
+        }
+        if (item.task) {
+            lines.push('### Aufgabe', '', escapeMarkdown(item.task), '');
+        }
+        if (item.reviewFeedback) {
+            lines.push('### Feedback', '', escapeMarkdown(item.reviewFeedback), '');
+        }
+
+        if (item.correction || item.edits) {
+            const text = corrections.toSegments(item).map(seg => {
+                if (seg.type === 'removed') return wrap(seg.text, '~~');
+                if (seg.type === 'added') return wrap(seg.text, '**');
+                return escapeMarkdown(seg.text);
+            }).join('');
+            lines.push('### Korrigierter Text', '', text, '');
+        } else if (item.submissionText) {
+            lines.push('### Einreichung', '', escapeMarkdown(item.submissionText), '');
+        }
+
+        if (item.edits && item.edits.length) {
+            lines.push('### Fehlerlegende', '');
+            item.edits.slice().sort((a, b) => a.start - b.start).forEach((edit, i) => {
+                const change = `${edit.original ? wrap(edit.original, '~~') : '∅'} → ${edit.replacement ? wrap(edit.replacement, '**') : '∅'}`;
+                lines.push(`${i + 1}. ${corrections.categoryLabel(edit.category)}: ${change} – ${escapeMarkdown(edit.explanation)}`);
+            });
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+// ==================== HTML ====================
+
+const HTML_STYLES = `
+    body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #212529; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; }
+    h1 { color: #6366f1; margin-bottom: 0; }
+    h2 { color: #6366f1; border-top: 1px solid #dcdce1; padding-top: 1.5rem; margin-top: 2rem; }
+    h3 { font-size: 0.8rem; text-transform: uppercase; color: #8c8c96; margin-bottom: 0.3rem; }
+    .meta { color: #8c8c96; font-size: 0.85rem; }
+    .score { font-weight: 600; }
+    .text { background: #f8f9fa; border-radius: 0.5rem; padding: 1rem; line-height: 1.8; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    td, th { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #dcdce1; vertical-align: top; }
+    .px-1 { padding: 0 0.25rem; }
+    .rounded { border-radius: 0.25rem; }
+    .bg-removed { background: #fee2e2; color: #dc2626; text-decoration: line-through; }
+    .bg-added { background: #dcfce7; color: #16a34a; font-weight: 500; }
+`;
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function paragraphs(text) {
+    return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+/**
+ * Self-contained HTML file (inline styles, no scripts) with the same colored diff as the editor
+ * @returns {string}
+ */
+function toHtml(data, options = {}) {
+    const sections = data.map(item => {
+        const parts = [
+            `<h2>${escapeHtml(item.title || 'Ohne Titel')}</h2>`,
+            `<p class="meta">${escapeHtml([formatDate(item.creationDate), profiles.getProfile(item.profile).label, exam.describeTiming(item)].filter(Boolean).join(' · '))}</p>`,
+        ];
+
+        if (item.reviewScore != null) {
+            parts.push(`<p class="score">${escapeHtml(scoreLine(item))}</p>`);
+        }
+        if (item.reviewCriteria) {
+            const rows = profiles.getProfile(item.profile).criteria
+                .filter(({ key }) => item.reviewCriteria[key])
+                .map(({ key, label, max }) => {
+                    const entry = item.reviewCriteria[key];
+                    return `<tr><th>${escapeHtml(label)}</th><td>${entry.score}&nbsp;/&nbsp;${max}</td><td>${paragraphs(entry.justification || '')}</td></tr>`;
+                });
+            parts.push(`<table>${rows.join('')}</table>`);
+        }
+        if (item.task) {
+            parts.push('<h3>Aufgabe</h3>', `<p>${paragraphs(item.task)}</p>`);
+        }
+        if (item.reviewFeedback) {
+            parts.push('<h3>Feedback</h3>', `<p>${paragraphs(item.reviewFeedback)}</p>`);
+        }
+        if (item.correction || item.edits) {
+            parts.push('<h3>Korrigierter Text</h3>', `<div class="text">${corrections.toHtml(item)}</div>`);
+        } else if (item.submissionText) {
+            parts.push('<h3>Einreichung</h3>', `<div class="text">${paragraphs(item.submissionText)}</div>`);
+        }
+        if (item.edits && item.edits.length) {
+            const legend = item.edits.slice().sort((a, b) => a.start - b.start).map(edit =>
+                `<li><strong>${escapeHtml(corrections.categoryLabel(edit.category))}:</strong> `
+                + `<span class="bg-removed px-1 rounded">${escapeHtml(edit.original || '∅')}</span> → `
+                + `<span class="bg-added px-1 rounded">${escapeHtml(edit.replacement || '∅')}</span> – ${escapeHtml(edit.explanation)}</li>`);
+            parts.push('<h3>Fehlerlegende</h3>', `<ol>${legend.join('')}</ol>`);
+        }
+        return `<section>\n${parts.join('\n')}\n</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Klar – Übungen</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>Klar</h1>
+<p class="meta">${escapeHtml(metaLine(data, options))}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// ==================== CSV ====================
+
+/**
+ * CSV for spreadsheets: title, date, word count and score (semicolon separated, UTF-8 with BOM for Excel)
+ * @returns {string}
+ */
+function toCsv(data) {
+    const header = ['Titel', 'Datum', 'Prüfung', 'Wörter', 'Punkte', 'Max. Punkte', 'Bestanden'];
+    const rows = data.map(item => {
+        const profile = profiles.getProfile(item.profile);
+        return [
+            item.title || '',
+            item.creationDate ? item.creationDate.slice(0, 10) : '',
+            profile.label,
+            String(countWords(item.submissionText)),
+            item.reviewScore == null ? '' : String(item.reviewScore),
+            String(profile.maxScore),
+            item.reviewScore == null ? '' : (profiles.isPassed(item.reviewScore, profile) ? 'ja' : 'nein'),
+        ];
+    });
+    return '\uFEFF' + [header, ...rows].map(row => row.map(csvField).join(';')).join('\r\n') + '\r\n';
+}
+
+/** Quote fields with separators or quotes; neutralize leading formula characters */
+function csvField(value) {
+    const safe = /^[=+\-@\t]/.test(value) ? `'${value}` : value;
+    return /[;"\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+module.exports = {
+    FORMATS,
+    render,
+};
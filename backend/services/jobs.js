@@ -0,0 +1,363 @@
+/**
+ * Klar – Background jobs for AI reviews, exercise generation and model answers
+ *
+ * Jobs are stored in the database, so a result is not lost when the browser reloads
+ * and queued or interrupted jobs continue after a server restart. At most
+ * JOB_CONCURRENCY jobs run at once; a try that hits a transient API error or takes
+ * longer than JOB_TIMEOUT_SECONDS is repeated after an exponentially growing delay.
+ *
+ * Job: {id, userId, type, status, payload, result, error, tries, runAfter,
+ *       createdAt, updatedAt, startedAt, finishedAt}
+ * status: queued → running → done | failed (back to queued for a retry)
+ *
+ * Progress of running jobs (partial reviews, retries) is only kept in memory and
+ * published to subscribers, e.g. the event stream of GET /api/jobs/:jobId/events.
+ */
+const { EventEmitter } = require('events');
+const repository = require('../repository');
+const openai = require('./openai');
+const review = require('./review');
+const modelAnswer = require('./model-answer');
+const exerciseBank = require('./exercise-bank');
+const usage = require('./usage');
+const { extractContentPoints } = require('./content-points');
+const { JOB_CONCURRENCY, JOB_TIMEOUT_SECONDS } = require('../config');
+
+const TYPES = ['review', 'generate', 'modelAnswer'];
+const MAX_TRIES = 5;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const MAX_TITLE_TRIES = 3;
+const RETENTION_DAYS = 7;
+
+/** HTTP statuses and network error codes worth another try */
+const TRANSIENT_STATUSES = [408, 409, 429];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+// Error codes (Node.js convention)
+const INVALID_JOB = 'INVALID_JOB';
+const TITLE_TAKEN = 'TITLE_TAKEN';
+const REVIEW_IN_PROGRESS = 'REVIEW_IN_PROGRESS';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/** Latest partial result per running job, for subscribers that join late */
+const progress = new Map();
+
+let running = 0;
+let started = false;
+let pumping = false;
+let pumpAgain = false;
+let wakeTimer = null;
+// Enqueueing runs one request at a time, so a double click cannot queue a review twice
+let enqueueing = Promise.resolve();
+
+// ==================== HANDLERS ====================
+
+/**
+ * What each job type does. A handler gets the job and {signal, onProgress} and
+ * returns the job result; `failure` turns a permanent error into a message for the learner.
+ */
+const HANDLERS = {
+    review: {
+        async run(job, options) {
+            const { attempt, cached } = await review.reviewDocument(job.payload.documentId, {
+                ...options,
+                force: !!job.payload.force,
+            });
+            return { attempt: attempt.number, cached };
+        },
+        failure(error) {
+            if (error.code === review.NOTHING_TO_REVIEW) return 'Es gibt noch keinen Text zum Korrigieren.';
+            if (error.code === usage.BUDGET_EXCEEDED) return error.message;
+            return 'Die Korrektur ist fehlgeschlagen. Bitte versuchen Sie es erneut.';
+        },
+    },
+    generate: {
+        async run(job, { signal }) {
+            const { instructions, profile, mode, durationMinutes } = job.payload;
+            // The model hears what the learner has practised, and about every title that still collided
+            const practised = await exerciseBank.practisedExercises(job.userId);
+            for (let i = 0; i < MAX_TITLE_TRIES; i++) {
+                await usage.assertWithinBudget();
+                const { title, task, topic } = await openai.generateExercise(instructions, {
+                    profile, practised, signal, context: { userId: job.userId },
+                });
+                try {
+                    const document = await repository.createDocument(title, { userId: job.userId, profile, mode, durationMinutes, topic });
+                    await repository.upsertContent({ documentId: document.id, task, contentPoints: extractContentPoints(task) });
+                    return { documentId: document.id };
+                } catch (error) {
+                    if (error.code !== repository.DUPLICATE_DOCUMENT) throw error;
+                    practised.unshift({ title, topic });
+                }
+            }
+            throw createError(TITLE_TAKEN, 'Titel existiert bereits. Bitte erneut versuchen.');
+        },
+        failure(error) {
+            if (error.code === TITLE_TAKEN || error.code === usage.BUDGET_EXCEEDED) return error.message;
+            return 'Die Übung konnte nicht erstellt werden. Bitte versuchen Sie es erneut.';
+        },
+    },
+    modelAnswer: {
+        async run(job, { signal }) {
+            await usage.assertWithinBudget();
+            await modelAnswer.createModelAnswer(job.payload.documentId, { signal });
+            return { documentId: job.payload.documentId };
+        },
+        failure(error) {
+            if (error.code === modelAnswer.NO_TASK || error.code === modelAnswer.NOT_SUBMITTED) return error.message;
+            if (error.code === usage.BUDGET_EXCEEDED) return error.message;
+            return 'Die Musterlösung konnte nicht erstellt werden. Bitte versuchen Sie es erneut.';
+        },
+    },
+};
+
+// ==================== QUEUE ====================
+
+/**
+ * Queue a job. A review or model answer of a document that is already queued or running is not queued twice.
+ * A forced review is refused while a review of the document that was not forced is still active,
+ * since returning that job would silently answer from the cache.
+ * @param {Object} options
+ * @param {'review'|'generate'|'modelAnswer'} options.type
+ * @param {string} [options.userId] - Owner of the job (and of its result)
+ * @param {Object} options.payload - review: {documentId, force?}; generate: {instructions, profile, mode, durationMinutes};
+ *   modelAnswer: {documentId}
+ * @returns {Promise<Object>} The new (or already active) job
+ * @throws {Error} code=INVALID_JOB for an unknown type, code=REVIEW_IN_PROGRESS for a forced review
+ *   while another review of the document is queued or running
+ */
+function enqueue(options) {
+    const queued = enqueueing.then(() => addJob(options));
+    enqueueing = queued.catch(() => {});
+    return queued;
+}
+
+async function addJob({ type, userId, payload }) {
+    if (!TYPES.includes(type)) {
+        throw createError(INVALID_JOB, `Unknown job type: ${type}`);
+    }
+
+    if (type === 'review' || type === 'modelAnswer') {
+        const active = await findActive({ userId, type, documentId: payload.documentId });
+        if (active && type === 'review' && payload.force && !active.payload.force) {
+            throw createError(REVIEW_IN_PROGRESS, 'Für diese Übung läuft schon eine Korrektur. Bitte warten Sie, bis sie fertig ist, und fordern Sie dann eine neue an.');
+        }
+        if (active) return active;
+    }
+
+    const now = new Date().toISOString();
+    const job = await repository.createJob({
+        id: generateId(),
+        userId,
+        type,
+        status: 'queued',
+        payload,
+        result: null,
+        error: null,
+        tries: 0,
+        runAfter: now,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+    });
+
+    pump();
+    return job;
+}
+
+/**
+ * The queued or running job of a user, optionally for one type and document
+ * @param {Object} filter - {userId, type?, documentId?}
+ * @returns {Promise<Object|null>}
+ */
+async function findActive({ userId, type, documentId }) {
+    const jobs = [
+        ...await repository.getJobs({ userId, status: 'running' }),
+        ...await repository.getJobs({ userId, status: 'queued' }),
+    ];
+    return jobs.find(job => (!type || job.type === type)
+        && (!documentId || job.payload.documentId === documentId)) || null;
+}
+
+/**
+ * Start processing: jobs interrupted by a restart are queued again, old finished jobs removed
+ */
+async function start() {
+    for (const job of await repository.getJobs({ status: 'running' })) {
+        await repository.updateJob(job.id, { status: 'queued', runAfter: new Date().toISOString() });
+    }
+    const before = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await repository.deleteFinishedJobs(before);
+
+    started = true;
+    const queued = await repository.getJobs({ status: 'queued' });
+    if (queued.length) {
+        console.log(`📋 ${queued.length} queued job(s) resumed`);
+    }
+    pump();
+}
+
+/** Start due jobs up to the concurrency limit and wake up again for the next delayed one */
+async function pump() {
+    if (!started) return;
+    if (pumping) {
+        pumpAgain = true;
+        return;
+    }
+    pumping = true;
+
+    try {
+        do {
+            pumpAgain = false;
+            const queued = await repository.getJobs({ status: 'queued' });
+            const now = Date.now();
+
+            for (const job of queued.filter(j => new Date(j.runAfter).getTime() <= now)) {
+                if (running >= JOB_CONCURRENCY) break;
+                const claimed = await repository.updateJob(job.id, {
+                    status: 'running',
+                    tries: job.tries + 1,
+                    startedAt: new Date().toISOString(),
+                });
+                running++;
+                execute(claimed).finally(() => {
+                    running--;
+                    pump();
+                });
+            }
+
+            const next = queued
+                .filter(j => new Date(j.runAfter).getTime() > now)
+                .reduce((min, j) => Math.min(min, new Date(j.runAfter).getTime()), Infinity);
+            clearTimeout(wakeTimer);
+            if (next !== Infinity) {
+                wakeTimer = setTimeout(pump, next - now);
+            }
+        } while (pumpAgain);
+    } catch (error) {
+        console.error('Error in job queue:', error);
+    } finally {
+        pumping = false;
+    }
+}
+
+/** Run one try of a job and store its outcome */
+async function execute(job) {
+    const handler = HANDLERS[job.type];
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), JOB_TIMEOUT_SECONDS * 1000);
+
+    publish(job.id, 'status', { status: 'running', message: statusMessage(job) });
+    try {
+        const result = await handler.run(job, {
+            signal: controller.signal,
+            onProgress: partial => {
+                progress.set(job.id, partial);
+                publish(job.id, 'partial', partial);
+            },
+        });
+        await repository.updateJob(job.id, { status: 'done', result, error: null, finishedAt: new Date().toISOString() });
+        publish(job.id, 'done', result);
+    } catch (error) {
+        const timedOut = controller.signal.aborted;
+        if ((timedOut || isTransient(error)) && job.tries < MAX_TRIES) {
+            const delay = backoff(job.tries);
+            const message = `${timedOut ? 'Zeitüberschreitung' : 'Die KI ist gerade nicht erreichbar'} – neuer Versuch in ${Math.round(delay / 1000)} s`
+                + ` (${job.tries + 1}/${MAX_TRIES})`;
+            console.warn(`Job ${job.id} (${job.type}) try ${job.tries} failed, retrying in ${delay} ms:`, timedOut ? 'timeout' : error.message);
+            await repository.updateJob(job.id, {
+                status: 'queued',
+                error: message,
+                runAfter: new Date(Date.now() + delay).toISOString(),
+            });
+            publish(job.id, 'status', { status: 'queued', message, reset: true });
+        } else {
+            const message = handler.failure(error);
+            if (!error.code) console.error(`Job ${job.id} (${job.type}) failed:`, error);
+            await repository.updateJob(job.id, { status: 'failed', error: message, finishedAt: new Date().toISOString() });
+            publish(job.id, 'error', { error: message });
+        }
+    } finally {
+        clearTimeout(timeout);
+        progress.delete(job.id);
+    }
+}
+
+/** Delay before try n + 1: 2 s, 4 s, 8 s, … up to a minute */
+function backoff(tries) {
+    return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (tries - 1));
+}
+
+/** Rate limits, server errors, timeouts and dropped connections (also when wrapped as `cause`) */
+function isTransient(error) {
+    for (let e = error; e; e = e.cause) {
+        if (typeof e.status === 'number' && (TRANSIENT_STATUSES.includes(e.status) || e.status >= 500)) return true;
+        if (TRANSIENT_CODES.includes(e.code)) return true;
+        if (e.name === 'APIConnectionError' || e.name === 'APIConnectionTimeoutError') return true;
+    }
+    return false;
+}
+
+// ==================== PROGRESS ====================
+
+function publish(jobId, type, data) {
+    events.emit(jobId, { type, data });
+}
+
+/**
+ * Follow the events of a job: status {status, message, reset?}, partial {…}, done {result}, error {error}
+ * @param {string} jobId
+ * @param {(event: {type: string, data: Object}) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+function subscribe(jobId, listener) {
+    events.on(jobId, listener);
+    return () => events.off(jobId, listener);
+}
+
+/** Partial result of a running job so far (reviews only), or null */
+function getProgress(jobId) {
+    return progress.get(jobId) || null;
+}
+
+const RUNNING_MESSAGES = {
+    review: 'Die Korrektur wird erstellt…',
+    generate: 'Die Übung wird erstellt…',
+    modelAnswer: 'Die Musterlösung wird geschrieben…',
+};
+
+/** Short German description of a job's state */
+function statusMessage(job) {
+    if (job.status === 'queued') return job.error || 'In der Warteschlange…';
+    if (job.status === 'running') return RUNNING_MESSAGES[job.type];
+    if (job.status === 'done') return 'Fertig';
+    return job.error || 'Fehlgeschlagen';
+}
+
+/** Generate a unique ID */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 11);
+}
+
+module.exports = {
+    TYPES,
+    INVALID_JOB,
+    REVIEW_IN_PROGRESS,
+    enqueue,
+    findActive,
+    start,
+    subscribe,
+    getProgress,
+    statusMessage,
+    isTransient,
+};
@@ -0,0 +1,72 @@
+/**
+ * Klar – Model answers: a sample text for the task of an exercise, written by the AI
+ *
+ * Learners only get to see it once they have submitted their own text (a reviewed
+ * attempt or a submitted exam), so it is something to compare with, not to copy.
+ * It is stored on the content record and dropped when the task changes.
+ */
+const repository = require('../repository');
+const openai = require('./openai');
+
+// Error codes (Node.js convention)
+const NO_TASK = 'NO_TASK';
+const NOT_SUBMITTED = 'NOT_SUBMITTED';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check that a model answer may be written for a document
+ * @param {string} documentId
+ * @throws {Error} code=NO_TASK if the document has no task, code=NOT_SUBMITTED if the
+ *   learner has not submitted a text yet
+ */
+async function assertAvailable(documentId) {
+    const content = await repository.getContent(documentId);
+    if (!content.task?.trim()) {
+        throw createError(NO_TASK, 'Die Übung hat noch keine Aufgabe');
+    }
+    const document = await repository.getDocument(documentId);
+    const attempts = await repository.getAttempts(documentId);
+    if (!attempts.length && !document?.submittedAt) {
+        throw createError(NOT_SUBMITTED, 'Die Musterlösung gibt es erst, wenn Sie Ihren eigenen Text abgegeben haben');
+    }
+}
+
+/**
+ * Write a model answer for the task of a document and store it on its content
+ * @param {string} documentId
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string>} The model answer
+ * @throws {Error} code=NO_TASK or NOT_SUBMITTED (see assertAvailable)
+ */
+async function createModelAnswer(documentId, { signal } = {}) {
+    await assertAvailable(documentId);
+    const content = await repository.getContent(documentId);
+    const document = await repository.getDocument(documentId);
+
+    const { answer } = await openai.generateModelAnswer(content.task, {
+        profile: document?.profile,
+        contentPoints: content.contentPoints ?? [],
+        signal,
+        context: { userId: document?.userId, documentId },
+    });
+    signal?.throwIfAborted();
+
+    // Read again: the learner may have saved while the model was writing
+    const current = await repository.getContent(documentId);
+    if (current.task !== content.task) return answer;
+    await repository.upsertContent({ ...current, documentId, modelAnswer: answer });
+    return answer;
+}
+
+module.exports = {
+    NO_TASK,
+    NOT_SUBMITTED,
+    assertAvailable,
+    createModelAnswer,
+};
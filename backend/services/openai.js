@@ -1,95 +1,229 @@
-const OpenAI = require('openai');
-const fs = require('fs');
-const path = require('path');
-const { OPENAI_TOKEN, MODEL } = require('../config');
-
-const REVIEW_PROMPT = fs.readFileSync(
-    path.join(__dirname, 'prompt-review.txt'),
-    'utf8'
-);
-
-const GENERATE_PROMPT = fs.readFileSync(
-    path.join(__dirname, 'prompt-generate.txt'),
-    'utf8'
-);
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: OPENAI_TOKEN,
-});
+const { getProvider } = require('./providers');
+const profiles = require('./profiles');
+const prompts = require('./prompts');
+const corrections = require('./corrections');
+const { normalizeCoverage } = require('./content-points');
+const { parsePartial } = require('./partial-json');
+const usage = require('./usage');
 
 /**
  * Review content using OpenAI and get feedback
  * @param {Object} reviewContentCommand - The review command
  * @param {string} reviewContentCommand.taskContent - The task/prompt description
  * @param {string} reviewContentCommand.contentText - The user's submission text to review
- * @returns {Promise<{score: number, feedback: string, correction: string}>} Review result with score, feedback and corrected text
- * @throws {Error} If OpenAI API call fails
+ * @param {string} [reviewContentCommand.profile] - Exam profile ID (default TELC B1 e-mail)
+ * @param {Array<string>} [reviewContentCommand.contentPoints] - Required content points of the task (see content-points.js)
+ * @param {Object} [options]
+ * @param {(partial: Object) => void} [options.onProgress] - Stream the answer and report each change of what is readable so far (see partialReview)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.context] - {userId, documentId} the token usage is logged for
+ * @returns {Promise<{score: number, criteria: Object, feedback: string, edits: Array<Object>, droppedEdits: Array<Object>, correction: string, contentCoverage: Array<Object>|null, promptVersion: number}>} Review result with score (the sum of the sub-scores), per-criterion sub-scores, feedback, located edits, the edits whose original text is not in the submission, the inline markup of the located edits, the coverage of each content point (null if the answer has none) and the version of the review prompt used
+ * @throws {Error} If OpenAI API call fails (the original error is its `cause`)
  */
-async function reviewContent(reviewContentCommand) {
+async function reviewContent(reviewContentCommand, { onProgress, signal, context } = {}) {
     try {
-        const completion = await openai.chat.completions.create({
-            model: MODEL,
+        const { taskContent, contentText, contentPoints = [] } = reviewContentCommand;
+        const profile = profiles.getProfile(reviewContentCommand.profile);
+        const prompt = await prompts.getActive('review');
+        const request = {
+            purpose: 'review',
+            profile,
             messages: [
                 {
                     role: 'system',
-                    content: REVIEW_PROMPT
+                    content: prompts.render(prompt.template, profile)
                 },
                 {
                     role: 'user',
-                    content: JSON.stringify(reviewContentCommand)
+                    content: JSON.stringify({ taskContent, contentText, contentPoints })
                 }
             ]
-        });
+        };
 
-        const feedback = completion.choices[0].message.content;
-        const result = JSON.parse(feedback);
+        let reported = '';
+        const completion = onProgress
+            ? await streamCompletion({ ...request, signal }, text => {
+                const partial = partialReview(contentText, text);
+                const key = JSON.stringify(partial);
+                if (key !== reported) {
+                    reported = key;
+                    onProgress(partial);
+                }
+            })
+            : await getProvider().chat({ ...request, signal });
+        await usage.record({ purpose: 'review', usage: completion.usage, context });
+        const result = JSON.parse(completion.content);
 
-        if (typeof result.score !== 'number' || typeof result.feedback !== 'string' || typeof result.correction !== 'string') {
-            throw new Error('Invalid response shape from OpenAI: missing score, feedback, or correction');
+        if (typeof result.feedback !== 'string' || !corrections.isValidRawEdits(result.edits)) {
+            throw new Error('Invalid response shape from OpenAI: missing feedback or edits');
+        }
+        if (!profiles.isValidCriteria(result.criteria, profile)) {
+            throw new Error('Invalid response shape from OpenAI: missing or out-of-range criteria sub-scores');
         }
 
-        return result;
+        // The total is the sum of the sub-scores, whatever the model added up
+        const score = profile.criteria.reduce((sum, { key }) => sum + result.criteria[key].score, 0);
+
+        const { edits, dropped } = corrections.anchorEdits(contentText, result.edits);
+
+        return {
+            score,
+            criteria: result.criteria,
+            feedback: result.feedback,
+            edits,
+            droppedEdits: dropped.map(({ original, replacement, category, explanation }) => ({
+                original,
+                replacement,
+                category: corrections.CATEGORIES[category] ? category : 'other',
+                explanation,
+            })),
+            correction: corrections.toMarkup(contentText, edits),
+            contentCoverage: normalizeCoverage(result.contentPoints, contentPoints, contentText),
+            promptVersion: prompt.version,
+        };
     } catch (error) {
+        if (signal?.aborted) throw error;
         console.error('OpenAI API error:', error);
-        throw new Error('Failed to get review from OpenAI');
+        throw new Error('Failed to get review from OpenAI', { cause: error });
     }
 }
 
+/**
+ * Collect a streamed completion, passing the text received so far after every piece.
+ * Providers without streaming deliver the whole answer at once.
+ * @returns {Promise<{content: string, usage: Object}>} The complete answer and its token usage
+ */
+async function streamCompletion(request, onText) {
+    const provider = getProvider();
+    if (!provider.stream) {
+        const completion = await provider.chat(request);
+        onText(completion.content);
+        return completion;
+    }
+
+    // Iterated by hand, since the generator's return value (the usage) is lost in for await
+    const pieces = provider.stream(request);
+    let text = '';
+    for (let next = await pieces.next(); ; next = await pieces.next()) {
+        if (next.done) return { content: text, usage: next.value };
+        text += next.value;
+        onText(text);
+    }
+}
+
+/**
+ * The readable part of a review that is still arriving: score and criteria once complete,
+ * the feedback as far as received and the complete edits, located in the submission
+ * @param {string} contentText - The submission
+ * @param {string} text - Answer received so far
+ * @returns {{score: number|null, criteria: Object|null, feedback: string, edits: Array<Object>}}
+ */
+function partialReview(contentText, text) {
+    const partial = parsePartial(text) || {};
+    const criteria = Object.entries(partial.criteria || {}).filter(([, entry]) => typeof entry?.score === 'number');
+    const edits = Array.isArray(partial.edits) ? partial.edits.filter(edit => corrections.isValidRawEdits([edit])) : [];
+
+    return {
+        score: typeof partial.score === 'number' ? partial.score : null,
+        criteria: criteria.length ? Object.fromEntries(criteria) : null,
+        feedback: typeof partial.feedback === 'string' ? partial.feedback : '',
+        edits: corrections.locateEdits(contentText, edits),
+    };
+}
+
 module.exports = {
     reviewContent,
     generateExercise,
+    generateModelAnswer,
 };
 
 /**
- * Generate a TELC B1 writing exercise using AI
+ * Generate a writing exercise for an exam profile using AI
  * @param {string} [instructions=''] - Optional topic/instructions to guide generation
- * @returns {Promise<{title: string, task: string}>} Generated exercise with title and task
- * @throws {Error} If OpenAI API call fails
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Exam profile ID (default TELC B1 e-mail)
+ * @param {Array<{title: string, topic: string|null}>} [options.practised] - Exercises the learner already has;
+ *   the model is asked for a different scenario and title
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.context] - {userId} the token usage is logged for
+ * @returns {Promise<{title: string, task: string, topic: string|null}>} Generated exercise with title, task and topic
+ * @throws {Error} If OpenAI API call fails (the original error is its `cause`)
  */
-async function generateExercise(instructions = '') {
+async function generateExercise(instructions = '', { profile: profileId, practised = [], signal, context } = {}) {
     try {
-        const userMessage = instructions
+        const profile = profiles.getProfile(profileId);
+        const prompt = await prompts.getActive('generate');
+        let userMessage = instructions
             ? `Generate a new exercise about: ${instructions}`
             : 'Generate a new exercise.';
+        if (practised.length) {
+            userMessage += '\n\nThe learner has already practised these exercises (title and topic). '
+                + 'Choose a different scenario and a title that is not in the list:\n'
+                + practised.map(({ title, topic }) => `- ${title}${topic ? ` (${topic})` : ''}`).join('\n');
+        }
 
-        const completion = await openai.chat.completions.create({
-            model: MODEL,
+        const completion = await getProvider().chat({
+            purpose: 'generate',
+            profile,
             messages: [
-                { role: 'system', content: GENERATE_PROMPT },
+                { role: 'system', content: prompts.render(prompt.template, profile) },
                 { role: 'user', content: userMessage },
             ],
+            signal,
         });
+        await usage.record({ purpose: 'generate', usage: completion.usage, context });
 
-        const result = JSON.parse(completion.choices[0].message.content);
+        const result = JSON.parse(completion.content);
 
         if (typeof result.title !== 'string' || typeof result.task !== 'string') {
             throw new Error('Invalid response shape from OpenAI: missing title or task');
         }
 
-        return result;
+        return { title: result.title, task: result.task, topic: typeof result.topic === 'string' && result.topic.trim() || null };
     } catch (error) {
+        if (signal?.aborted) throw error;
         console.error('OpenAI API error (generateExercise):', error);
-        throw new Error('Failed to generate exercise from OpenAI');
+        throw new Error('Failed to generate exercise from OpenAI', { cause: error });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Write a model answer to the task of an exercise for an exam profile using AI
+ * @param {string} taskContent - The task/prompt description
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Exam profile ID (default TELC B1 e-mail)
+ * @param {Array<string>} [options.contentPoints] - Required content points of the task (see content-points.js)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.context] - {userId, documentId} the token usage is logged for
+ * @returns {Promise<{answer: string}>} The model answer
+ * @throws {Error} If OpenAI API call fails (the original error is its `cause`)
+ */
+async function generateModelAnswer(taskContent, { profile: profileId, contentPoints = [], signal, context } = {}) {
+    try {
+        const profile = profiles.getProfile(profileId);
+        const prompt = await prompts.getActive('modelAnswer');
+
+        const completion = await getProvider().chat({
+            purpose: 'modelAnswer',
+            profile,
+            messages: [
+                { role: 'system', content: prompts.render(prompt.template, profile) },
+                { role: 'user', content: JSON.stringify({ taskContent, contentPoints }) },
+            ],
+            signal,
+        });
+        await usage.record({ purpose: 'modelAnswer', usage: completion.usage, context });
+
+        const result = JSON.parse(completion.content);
+
+        if (typeof result.answer !== 'string' || !result.answer.trim()) {
+            throw new Error('Invalid response shape from OpenAI: missing answer');
+        }
+
+        return { answer: result.answer.trim() };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('OpenAI API error (generateModelAnswer):', error);
+        throw new Error('Failed to generate model answer from OpenAI', { cause: error });
+    }
+}
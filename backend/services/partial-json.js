@@ -0,0 +1,79 @@
+/**
+ * Klar – Read JSON that is still being generated
+ *
+ * A streamed completion is incomplete JSON until the last token arrives. The text is
+ * closed at the last point where that is safe (after a complete value, behind an
+ * opening bracket) so everything complete so far can be shown. Numbers, literals and
+ * nested strings are never cut, so a half-received "35" never shows up as 3; only a
+ * string value of the top-level object is shown while it grows (e.g. the feedback).
+ */
+
+/**
+ * Parse the complete part of a JSON object received so far
+ * @param {string} text - Beginning of a JSON object (text before the first "{" is ignored)
+ * @returns {Object|null} The object with all values complete so far, or null if nothing is
+ */
+function parsePartial(text) {
+    const start = String(text ?? '').indexOf('{');
+    if (start === -1) return null;
+    const json = text.slice(start);
+
+    const stack = [];
+    const cuts = [];
+    let inString = false;
+    let escaped = false;
+    let stringIsValue = false;
+    let last = '';
+
+    for (let i = 0; i < json.length; i++) {
+        const ch = json[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+            stringIsValue = last === ':';
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch);
+            cuts.push({ at: i + 1, stack: stack.slice() });
+        } else if (ch === '}' || ch === ']') {
+            stack.pop();
+        } else if (ch === ',') {
+            cuts.push({ at: i, stack: stack.slice() });
+        }
+        if (!/\s/.test(ch)) last = ch;
+    }
+
+    const candidates = [];
+    if (inString) {
+        if (stringIsValue && stack.length === 1) {
+            // Drop a started escape sequence ("\" or "\u00") before closing the string
+            const body = (escaped ? json.slice(0, -1) : json).replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+            candidates.push(body + '"' + closing(stack));
+        }
+    } else if (!/[\w.+-]/.test(last)) {
+        candidates.push(json + closing(stack));
+    }
+    cuts.reverse().forEach(cut => candidates.push(json.slice(0, cut.at) + closing(cut.stack)));
+
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch {
+            // Try the next, shorter candidate
+        }
+    }
+    return null;
+}
+
+/** Brackets that close the open ones, innermost first */
+function closing(stack) {
+    return stack.slice().reverse().map(bracket => (bracket === '{' ? '}' : ']')).join('');
+}
+
+module.exports = {
+    parsePartial,
+};
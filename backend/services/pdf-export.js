@@ -2,24 +2,36 @@
  * Klar – Server-side PDF Export (PDFKit)
  */
 const PDFDocument = require('pdfkit');
+const profiles = require('./profiles');
+const corrections = require('./corrections');
+const precheck = require('./precheck');
+const exam = require('./exam');
+const stats = require('./stats');
 
 const ACCENT = '#6366f1';
 const BLACK = '#212529';
 const GRAY = '#8c8c96';
 const RED = '#dc2626';
 const GREEN = '#16a34a';
+const AMBER = '#d97706';
 const SEPARATOR = '#dcdce1';
 
 const M = 68;  // margin in points (~24mm)
 
 /**
  * Generate a PDF from document data and return it as a Buffer.
+ * A cover page with summary and table of contents comes first; every
+ * document starts on a new page and all pages are numbered.
  * @param {Array<Object>} data - Documents with content
+ * @param {Object} [options]
+ * @param {string} [options.owner] - Name of the learner shown on the cover
+ * @param {string} [options.selection] - Description of the exported selection (filters)
+ * @param {boolean} [options.modelAnswers] - Add the model answer after each document's correction
  * @returns {Promise<Buffer>}
  */
-function generatePdf(data) {
+function generatePdf(data, { owner = '', selection = '', modelAnswers = false } = {}) {
     return new Promise((resolve, reject) => {
-        const doc = new PDFDocument({ size: 'A4', margin: M });
+        const doc = new PDFDocument({ size: 'A4', margin: M, bufferPages: true });
         const chunks = [];
 
         doc.on('data', chunk => chunks.push(chunk));
@@ -28,91 +40,250 @@ function generatePdf(data) {
 
         const W = doc.page.width;
 
-        // ── Header ──
-        doc.fontSize(20).fillColor(ACCENT).font('Helvetica-Bold')
-            .text('Klar', M, M);
+        const pageSlots = renderCover(doc, data, { owner, selection }, W);
 
-        doc.fontSize(8).fillColor(GRAY).font('Helvetica')
-            .text(
-                new Date().toLocaleDateString('de-DE') + '  \u00b7  ' +
-                data.length + ' Dokument' + (data.length !== 1 ? 'e' : ''),
-                M, doc.y
-            );
+        const startPages = data.map((item, i) => {
+            doc.addPage();
+            const page = currentPage(doc);
+            renderDocument(doc, item, i, W, { modelAnswers });
+            return page;
+        });
 
-        doc.moveDown(0.3);
-        const lineY = doc.y;
-        doc.strokeColor(ACCENT).lineWidth(0.5)
-            .moveTo(M, lineY).lineTo(W - M, lineY).stroke();
-        doc.moveDown(1);
-
-        // ── Documents ──
-        data.forEach((item, i) => {
-            // Title + date
-            const titleY = doc.y;
-            doc.fontSize(15).fillColor(ACCENT).font('Helvetica-Bold')
-                .text(item.title || 'Ohne Titel', M, titleY, { width: W - M * 2 - 80 });
-
-            const d = item.creationDate
-                ? new Date(item.creationDate).toLocaleDateString('de-DE')
-                : '';
-            if (d) {
-                doc.fontSize(8).fillColor(GRAY).font('Helvetica')
-                    .text(d, M, titleY, { width: W - M * 2, align: 'right' });
-            }
-            doc.y = Math.max(doc.y, titleY + 18);
+        // Page numbers are only known now: fill in the table of contents
+        pageSlots.forEach(({ page, y }, i) => {
+            doc.switchToPage(page);
+            doc.fontSize(8).fillColor(BLACK).font('Helvetica')
+                .text(String(startPages[i] + 1), M, y, { width: W - M * 2, align: 'right', lineBreak: false });
+        });
 
-            // Score
-            if (item.reviewScore != null) {
-                doc.fontSize(8).font('Helvetica-Bold').fillColor(BLACK)
-                    .text(item.reviewScore + ' / 45', M, doc.y);
-                doc.moveDown(0.3);
-            }
+        renderPageNumbers(doc, W);
+        doc.end();
+    });
+}
 
-            // Standard sections
-            [['Aufgabe', item.task],
-             ['Feedback', item.reviewFeedback]
-            ].forEach(([label, value]) => {
-                if (!value) return;
-                sectionLabel(doc, label);
-                doc.fontSize(9).fillColor(BLACK).font('Helvetica')
-                    .text(value, M, doc.y, { width: W - M * 2, lineGap: 1.5 });
-                doc.moveDown(0.5);
-            });
+/**
+ * Cover page: title, selection, key figures and a table of contents with scores
+ * @returns {Array<{page: number, y: number}>} Where each document's page number goes
+ */
+function renderCover(doc, data, { owner, selection }, W) {
+    const CW = W - M * 2;
+    const summary = stats.computeStats(data);
 
-            // Correction with colored diff
-            if (item.correction) {
-                sectionLabel(doc, 'Korrigierter Text');
-                renderCorrection(doc, item.correction, W);
-                doc.moveDown(0.5);
-            }
+    doc.fontSize(26).fillColor(ACCENT).font('Helvetica-Bold')
+        .text('Klar', M, M);
+    doc.fontSize(11).fillColor(BLACK).font('Helvetica')
+        .text('Schriftlicher Ausdruck – Übungsmappe', M, doc.y);
+    doc.moveDown(0.5);
 
-            // If no feedback, show notice + submission
-            if (!item.reviewFeedback) {
-                doc.fontSize(9).fillColor(GRAY).font('Helvetica-Oblique')
-                    .text('Noch kein Feedback vorhanden', M, doc.y, { width: W - M * 2 });
-                doc.moveDown(0.3);
-
-                if (item.submissionText) {
-                    sectionLabel(doc, 'Einreichung');
-                    doc.fontSize(9).fillColor(BLACK).font('Helvetica')
-                        .text(item.submissionText, M, doc.y, { width: W - M * 2, lineGap: 1.5 });
-                    doc.moveDown(0.5);
-                }
-            }
+    const meta = [
+        owner ? 'Lernende/r: ' + owner : '',
+        'Erstellt am ' + new Date().toLocaleDateString('de-DE'),
+        data.length + ' Dokument' + (data.length !== 1 ? 'e' : ''),
+        selection,
+    ].filter(Boolean).join('  \u00b7  ');
+    doc.fontSize(8).fillColor(GRAY).text(meta, M, doc.y, { width: CW });
 
-            // Separator between documents
-            if (i < data.length - 1) {
-                doc.moveDown(0.3);
-                checkPage(doc, 20);
-                const sepY = doc.y;
-                doc.strokeColor(SEPARATOR).lineWidth(0.15)
-                    .moveTo(M, sepY).lineTo(W - M, sepY).stroke();
-                doc.moveDown(1.2);
-            }
+    doc.moveDown(0.3);
+    const lineY = doc.y;
+    doc.strokeColor(ACCENT).lineWidth(0.5)
+        .moveTo(M, lineY).lineTo(W - M, lineY).stroke();
+    doc.moveDown(1);
+
+    // Key figures
+    const figures = [
+        ['Korrigiert', summary.reviewedDocuments + ' / ' + summary.totalDocuments],
+        ['Durchschnitt', summary.averagePercent === null ? '–' : Math.round(summary.averagePercent) + ' %'],
+        ['Bestanden', summary.passRate === null ? '–' : Math.round(summary.passRate * 100) + ' %'],
+    ];
+    const figureY = doc.y;
+    const figureW = CW / figures.length;
+    figures.forEach(([label, value], i) => {
+        doc.fontSize(16).fillColor(ACCENT).font('Helvetica-Bold')
+            .text(value, M + i * figureW, figureY, { width: figureW, align: 'center' });
+        doc.fontSize(8).fillColor(GRAY).font('Helvetica')
+            .text(label, M + i * figureW, doc.y, { width: figureW, align: 'center' });
+    });
+    doc.y = figureY + 40;
+    doc.moveDown(1);
+
+    // Table of contents with score summary
+    sectionLabel(doc, 'Inhalt');
+    const columns = [
+        { label: 'Nr.', x: 0, width: 24 },
+        { label: 'Titel', x: 24, width: CW - 254 },
+        { label: 'Datum', x: CW - 220, width: 60 },
+        { label: 'Punkte', x: CW - 150, width: 50, align: 'right' },
+        { label: 'Ergebnis', x: CW - 90, width: 60 },
+        { label: 'Seite', x: CW - 30, width: 30, align: 'right' },
+    ];
+    const rowHeight = 16;
+
+    const header = () => {
+        const y = doc.y;
+        doc.fontSize(7).fillColor(GRAY).font('Helvetica-Bold');
+        columns.forEach(col => doc.text(col.label.toUpperCase(), M + col.x, y, { width: col.width, align: col.align || 'left', lineBreak: false }));
+        doc.y = y + 12;
+        doc.strokeColor(SEPARATOR).lineWidth(0.3).moveTo(M, doc.y - 3).lineTo(W - M, doc.y - 3).stroke();
+    };
+    header();
+
+    return data.map((item, i) => {
+        if (doc.y + rowHeight > doc.page.height - M) {
+            doc.addPage();
+            header();
+        }
+        const y = doc.y;
+        const profile = profiles.getProfile(item.profile);
+        const isPassed = profiles.isPassed(item.reviewScore, profile);
+        const passed = item.reviewScore == null ? '' : (isPassed ? 'Bestanden' : 'Nicht bestanden');
+        const cells = [
+            String(i + 1),
+            item.title || 'Ohne Titel',
+            item.creationDate ? new Date(item.creationDate).toLocaleDateString('de-DE') : '',
+            item.reviewScore == null ? '–' : item.reviewScore + ' / ' + profile.maxScore,
+            passed,
+        ];
+        cells.forEach((value, c) => {
+            const col = columns[c];
+            doc.fontSize(8).font(c === 1 ? 'Helvetica-Bold' : 'Helvetica')
+                .fillColor(c === 4 && passed ? (isPassed ? GREEN : RED) : BLACK)
+                .text(value, M + col.x, y, {
+                    width: col.width, height: rowHeight, align: col.align || 'left',
+                    ellipsis: true, lineBreak: false, goTo: c === 1 ? destination(i) : undefined,
+                });
         });
+        doc.y = y + rowHeight;
+        return { page: currentPage(doc), y };
+    });
+}
 
-        doc.end();
+/**
+ * Render one document: title, timing, score, criteria, pre-check, task, feedback, correction,
+ * legend and (if requested) the model answer
+ */
+function renderDocument(doc, item, index, W, { modelAnswers }) {
+    const profile = profiles.getProfile(item.profile);
+
+    // Title + date
+    const titleY = doc.y;
+    doc.fontSize(15).fillColor(ACCENT).font('Helvetica-Bold')
+        .text(item.title || 'Ohne Titel', M, titleY, { width: W - M * 2 - 80, destination: destination(index) });
+
+    const d = item.creationDate
+        ? new Date(item.creationDate).toLocaleDateString('de-DE')
+        : '';
+    if (d) {
+        doc.fontSize(8).fillColor(GRAY).font('Helvetica')
+            .text(d, M, titleY, { width: W - M * 2, align: 'right' });
+    }
+    doc.y = Math.max(doc.y, titleY + 18);
+
+    // Exam profile
+    doc.fontSize(8).fillColor(GRAY).font('Helvetica')
+        .text(profile.label, M, doc.y);
+    doc.moveDown(0.3);
+
+    // Exam timing
+    const timing = exam.describeTiming(item);
+    if (timing) {
+        doc.fontSize(8).fillColor(GRAY).font('Helvetica')
+            .text(timing, M, doc.y);
+        doc.moveDown(0.3);
+    }
+
+    // Score
+    if (item.reviewScore != null) {
+        doc.fontSize(8).font('Helvetica-Bold').fillColor(BLACK)
+            .text(item.reviewScore + ' / ' + profile.maxScore, M, doc.y);
+        doc.moveDown(0.3);
+    }
+
+    // Criteria breakdown
+    if (item.reviewCriteria) {
+        renderCriteria(doc, item.reviewCriteria, profile, W);
+        doc.moveDown(0.5);
+    }
+
+    // Rule-based pre-check of the submission
+    if (item.submissionText) {
+        sectionLabel(doc, 'Vorab-Prüfung');
+        renderPrecheck(doc, precheck.check(item.submissionText, profile), W);
+        doc.moveDown(0.5);
+    }
+
+    // Standard sections
+    [['Aufgabe', item.task],
+     ['Feedback', item.reviewFeedback]
+    ].forEach(([label, value]) => {
+        if (!value) return;
+        sectionLabel(doc, label);
+        doc.fontSize(9).fillColor(BLACK).font('Helvetica')
+            .text(value, M, doc.y, { width: W - M * 2, lineGap: 1.5 });
+        doc.moveDown(0.5);
     });
+
+    // Correction with colored diff
+    if (item.correction || item.edits) {
+        sectionLabel(doc, 'Korrigierter Text');
+        renderCorrection(doc, item, W);
+        doc.moveDown(0.5);
+    }
+
+    // Legend explaining each numbered edit
+    if (item.edits && item.edits.length) {
+        sectionLabel(doc, 'Fehlerlegende');
+        renderLegend(doc, item.edits, W);
+        doc.moveDown(0.5);
+    }
+
+    // If no feedback, show notice + submission
+    if (!item.reviewFeedback) {
+        doc.fontSize(9).fillColor(GRAY).font('Helvetica-Oblique')
+            .text('Noch kein Feedback vorhanden', M, doc.y, { width: W - M * 2 });
+        doc.moveDown(0.3);
+
+        if (item.submissionText) {
+            sectionLabel(doc, 'Einreichung');
+            doc.fontSize(9).fillColor(BLACK).font('Helvetica')
+                .text(item.submissionText, M, doc.y, { width: W - M * 2, lineGap: 1.5 });
+            doc.moveDown(0.5);
+        }
+    }
+
+    // Model answer, on request
+    if (modelAnswers && item.modelAnswer) {
+        sectionLabel(doc, 'Musterlösung');
+        doc.fontSize(9).fillColor(BLACK).font('Helvetica')
+            .text(item.modelAnswer, M, doc.y, { width: W - M * 2, lineGap: 1.5 });
+        doc.moveDown(0.5);
+    }
+}
+
+/** "Seite x von y" centered in the bottom margin of every page */
+function renderPageNumbers(doc, W) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fontSize(7).fillColor(GRAY).font('Helvetica')
+            .text('Seite ' + (i + 1) + ' von ' + count, M, doc.page.height - M / 2, {
+                width: W - M * 2, align: 'center', lineBreak: false,
+            });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+/** Index of the page currently being written */
+function currentPage(doc) {
+    const { start, count } = doc.bufferedPageRange();
+    return start + count - 1;
+}
+
+/** Named destination of a document (link target in the table of contents) */
+function destination(index) {
+    return 'doc-' + (index + 1);
 }
 
 /** Print a section label (e.g. "Aufgabe", "Feedback") */
@@ -123,33 +294,70 @@ function sectionLabel(doc, label) {
     doc.moveDown(0.2);
 }
 
+/** Render one line per criterion of the exam profile: label, sub-score and justification */
+function renderCriteria(doc, criteria, profile, pageWidth) {
+    const CW = pageWidth - M * 2;
+    profile.criteria.forEach(({ key, label, max }) => {
+        const entry = criteria[key];
+        if (!entry) return;
+        checkPage(doc, 30);
+        const rowY = doc.y;
+        doc.fontSize(8).font('Helvetica-Bold').fillColor(BLACK)
+            .text(label, M, rowY, { width: CW - 40 });
+        doc.text(entry.score + ' / ' + max, M, rowY, { width: CW, align: 'right' });
+        if (entry.justification) {
+            doc.fontSize(8).font('Helvetica').fillColor(GRAY)
+                .text(entry.justification, M, doc.y, { width: CW, lineGap: 1 });
+        }
+        doc.moveDown(0.3);
+    });
+}
+
+/** Render the findings of the pre-check, one per line, marked by severity */
+function renderPrecheck(doc, result, pageWidth) {
+    const CW = pageWidth - M * 2;
+    if (!result.issues.length) {
+        doc.fontSize(8).font('Helvetica').fillColor(GRAY)
+            .text('Keine Auffälligkeiten', M, doc.y, { width: CW });
+        return;
+    }
+    const COLORS = { error: RED, warning: AMBER, info: GRAY };
+    result.issues.forEach(issue => {
+        checkPage(doc, 20);
+        doc.fontSize(8).font('Helvetica-Bold').fillColor(COLORS[issue.severity])
+            .text('• ', M, doc.y, { continued: true })
+            .font('Helvetica').fillColor(BLACK)
+            .text(issue.message + (issue.excerpt ? ` („${issue.excerpt}“)` : ''), { width: CW, lineGap: 1 });
+    });
+}
+
 /**
- * Render correction text with --removed-- in red strikethrough
- * and ++added++ in green bold.
+ * Render the correction with removed text in red strikethrough and
+ * added text in green bold. Structured edits get a numbered marker
+ * that refers to the legend.
  */
-function renderCorrection(doc, text, pageWidth) {
+function renderCorrection(doc, item, pageWidth) {
     const CW = pageWidth - M * 2;
 
-    // Parse into segments
     const segments = [];
-    let last = 0;
-    text.replace(/--(.*?)--|\+\+(.*?)\+\+/g, (match, rm, add, idx) => {
-        if (idx > last) segments.push({ t: text.slice(last, idx), color: BLACK });
-        if (rm !== undefined) segments.push({ t: rm, color: RED, strike: true });
-        if (add !== undefined) segments.push({ t: add, color: GREEN, bold: true });
-        last = idx + match.length;
+    corrections.toSegments(item).forEach((seg, i, all) => {
+        if (seg.type === 'equal') segments.push({ t: seg.text, color: BLACK });
+        if (seg.type === 'removed') segments.push({ t: seg.text, color: RED, strike: true });
+        if (seg.type === 'added') segments.push({ t: seg.text, color: GREEN, bold: true });
+        const next = all[i + 1];
+        if (seg.index !== undefined && (!next || next.index !== seg.index)) {
+            segments.push({ t: '[' + (seg.index + 1) + ']', color: GRAY, small: true });
+        }
     });
-    if (last < text.length) segments.push({ t: text.slice(last), color: BLACK });
 
     // Render word-by-word for wrapping
     let x = M;
     const fontSize = 9;
     const lineHeight = fontSize * 1.4;
-    doc.fontSize(fontSize);
 
     segments.forEach(seg => {
         const font = seg.bold ? 'Helvetica-Bold' : 'Helvetica';
-        doc.font(font).fillColor(seg.color);
+        doc.font(font).fontSize(seg.small ? 6 : fontSize).fillColor(seg.color);
 
         const lines = seg.t.split('\n');
         lines.forEach((line, li) => {
@@ -173,10 +381,24 @@ function renderCorrection(doc, text, pageWidth) {
         });
     });
 
+    doc.fontSize(fontSize);
     doc.y += lineHeight;
     doc.x = M;
 }
 
+/** Render the numbered list of edits with category and explanation */
+function renderLegend(doc, edits, pageWidth) {
+    const CW = pageWidth - M * 2;
+    edits.slice().sort((a, b) => a.start - b.start).forEach((edit, i) => {
+        checkPage(doc, 20);
+        const change = (edit.original || '∅') + ' → ' + (edit.replacement || '∅');
+        doc.fontSize(8).font('Helvetica-Bold').fillColor(BLACK)
+            .text((i + 1) + '. ' + corrections.categoryLabel(edit.category) + ': ', M, doc.y, { width: CW, continued: true })
+            .font('Helvetica').text(change + ' – ' + edit.explanation, { lineGap: 1 });
+        doc.moveDown(0.2);
+    });
+}
+
 /** Add a new page if remaining space is insufficient */
 function checkPage(doc, needed) {
     const bottom = doc.page.height - M;
@@ -0,0 +1,162 @@
+/**
+ * Klar – Rule-based pre-check shared by the server (API, PDF) and the browser (editor)
+ *
+ * Finds the obvious problems of a text without asking the AI, so learners can fix
+ * them for free before spending a review: missing greeting or sign-off, a register
+ * that does not fit them, mixed "du"/"Sie" address, a missing subject line in a
+ * formal letter, very long sentences and a length outside the exam's range.
+ * The rules are deliberately cautious; a finding is a hint, not a correction.
+ *
+ * Loaded with require() on the server and served as /js/precheck.js,
+ * where it is exposed as window.KlarPrecheck.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KlarPrecheck = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /** Sentences longer than this are hard to follow (and a frequent source of errors) */
+    const LONG_SENTENCE_WORDS = 30;
+
+    const GREETINGS = {
+        formal: /^(sehr geehrte[rs]?|guten (tag|morgen|abend))\b/i,
+        informal: /^(liebe[rs]?|hallo|hi|hey|servus|moin|grüß dich)\b/i,
+    };
+    // "Liebe Frau Weber" and "Hallo Herr Kraus" are polite forms that go with "Sie"
+    const POLITE_INFORMAL_GREETING = /^(liebe[rs]?|hallo)\s+(frau|herr)\b/i;
+
+    const SIGN_OFFS = {
+        formal: /^(mit freundlichen grüßen|freundliche grüße|mit besten grüßen|hochachtungsvoll)\b/i,
+        informal: /^(liebe grüße|lg\b|bis bald|bis dann|dein[e]?\b|tschüss|ciao|hab dich lieb|umarmung)/i,
+        neutral: /^(viele grüße|herzliche grüße|beste grüße|schöne grüße|mit herzlichen grüßen)\b/i,
+    };
+
+    const SUBJECT = /^(betreff|betr\.)\s*:/i;
+
+    /** Informal address (any case: "Du" is capitalised in letters too) */
+    const DU_FORMS = /\b(du|dich|dir|dein|deine[mnrs]?|euch|euer|eure[mnrs]?)\b/gi;
+    /** Formal address: capitalised "Sie", "Ihnen", "Ihr…" inside a sentence (at its start it may mean "she"/"they") */
+    const SIE_FORMS = /^(Sie|Ihnen|Ihr|Ihre[mnrs]?)$/;
+
+    const SEVERITIES = ['error', 'warning', 'info'];
+
+    /**
+     * Check a text against the rules of an exam profile
+     * @param {string} text - The submission
+     * @param {Object} profile - Exam profile (uses words {min, max} and format: 'letter' checks greeting,
+     *   sign-off and subject line, 'post' does not)
+     * @returns {{wordCount: number, register: 'formal'|'informal'|null, issues: Array<{code: string, severity: string, message: string, excerpt?: string}>}}
+     *   Issues ordered by severity (error, warning, info)
+     */
+    function check(text, profile) {
+        text = String(text ?? '');
+        const issues = [];
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        const words = countWords(text);
+        if (!words) return { wordCount: 0, register: null, issues };
+
+        const address = addressOf(text);
+        if (address.du && address.sie) {
+            issues.push({
+                code: 'mixedAddress',
+                severity: 'warning',
+                message: 'Sie mischen „du“ und „Sie“. Bleiben Sie bei einer Anredeform.',
+                excerpt: `du-Formen: ${address.du}, Sie-Formen: ${address.sie}`,
+            });
+        }
+
+        let register = address.du && !address.sie ? 'informal' : address.sie && !address.du ? 'formal' : null;
+
+        if (profile.format === 'letter') {
+            const subject = SUBJECT.test(lines[0] || '') || (lines.length > 1 && !matchRegister(lines[0], GREETINGS)
+                && matchRegister(lines[1], GREETINGS) && isSubjectLike(lines[0]));
+            const greetingLine = subject ? lines[1] : lines[0];
+            const greeting = matchRegister(greetingLine, GREETINGS);
+            const signOffLine = lines.slice(-3).find(line => matchRegister(line, SIGN_OFFS));
+            const signOff = signOffLine ? matchRegister(signOffLine, SIGN_OFFS) : null;
+            const politeGreeting = greeting === 'informal' && POLITE_INFORMAL_GREETING.test(greetingLine);
+            register ||= politeGreeting ? null : greeting;
+
+            if (!greeting) {
+                issues.push({ code: 'missingGreeting', severity: 'warning', message: 'Die Anrede fehlt (z. B. „Sehr geehrte Damen und Herren,“ oder „Liebe Anna,“).' });
+            } else if (greeting === 'formal' && address.du) {
+                issues.push({ code: 'greetingRegister', severity: 'warning', message: 'Die Anrede ist förmlich, aber Sie duzen den Empfänger.', excerpt: greetingLine });
+            } else if (greeting === 'informal' && !politeGreeting && address.sie && !address.du) {
+                issues.push({ code: 'greetingRegister', severity: 'warning', message: 'Die Anrede ist vertraut, aber Sie siezen den Empfänger.', excerpt: greetingLine });
+            }
+
+            if (!signOff) {
+                issues.push({ code: 'missingSignOff', severity: 'warning', message: 'Die Grußformel fehlt (z. B. „Mit freundlichen Grüßen“ oder „Liebe Grüße“).' });
+            } else if (signOff !== 'neutral' && register && signOff !== register) {
+                issues.push({
+                    code: 'signOffRegister',
+                    severity: 'warning',
+                    message: signOff === 'formal'
+                        ? 'Die Grußformel ist förmlich, passt aber nicht zum vertrauten Ton des Textes.'
+                        : 'Die Grußformel ist vertraut, passt aber nicht zum förmlichen Ton des Textes.',
+                    excerpt: signOffLine,
+                });
+            }
+
+            if (greeting === 'formal' && !subject) {
+                issues.push({ code: 'missingSubject', severity: 'info', message: 'Förmliche E-Mails und Briefe beginnen mit einer Betreffzeile (z. B. „Betreff: Anfrage zum Deutschkurs“).' });
+            }
+        }
+
+        sentencesOf(text)
+            .filter(sentence => countWords(sentence) > LONG_SENTENCE_WORDS)
+            .forEach(sentence => issues.push({
+                code: 'longSentence',
+                severity: 'info',
+                message: `Sehr langer Satz (${countWords(sentence)} Wörter). Teilen Sie ihn besser auf.`,
+                excerpt: sentence.split(/\s+/).slice(0, 8).join(' ') + ' …',
+            }));
+
+        if (words < profile.words.min) {
+            issues.push({ code: 'tooShort', severity: 'error', message: `Der Text ist zu kurz: ${words} von mindestens ${profile.words.min} Wörtern.` });
+        } else if (words > profile.words.max) {
+            issues.push({ code: 'tooLong', severity: 'warning', message: `Der Text ist zu lang: ${words} Wörter, empfohlen sind ${profile.words.min}–${profile.words.max}.` });
+        }
+
+        issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+        return { wordCount: words, register, issues };
+    }
+
+    function countWords(text) {
+        return String(text).trim().split(/\s+/).filter(Boolean).length;
+    }
+
+    /** Sentences of the text; blank lines also end a sentence (greeting, sign-off) */
+    function sentencesOf(text) {
+        return text.split(/(?<=[.!?])\s+|\n\s*\n/).map(s => s.trim()).filter(Boolean);
+    }
+
+    /** Number of du-forms and of Sie-forms in the text */
+    function addressOf(text) {
+        const du = (text.match(DU_FORMS) || []).length;
+        const sie = sentencesOf(text)
+            .flatMap(sentence => sentence.split(/\s+/).slice(1))
+            .map(word => word.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, ''))
+            .filter(word => SIE_FORMS.test(word)).length;
+        return { du, sie };
+    }
+
+    /** 'formal', 'informal' (or 'neutral') if the line starts with one of the patterns, else null */
+    function matchRegister(line, patterns) {
+        if (!line) return null;
+        return Object.keys(patterns).find(register => patterns[register].test(line)) || null;
+    }
+
+    /** A short line without a full stop, as subject lines are */
+    function isSubjectLike(line) {
+        return countWords(line) <= 12 && !/[.!?,]$/.test(line);
+    }
+
+    return {
+        LONG_SENTENCE_WORDS,
+        check,
+    };
+});
@@ -0,0 +1,196 @@
+/**
+ * Klar – Exam profiles
+ *
+ * A profile is chosen per exercise and describes the exam and text type it trains:
+ * what the prompts ask the AI for, the criteria and score scale of the review, the
+ * pass mark, the expected length and the time limit in exam mode. Documents from
+ * before profiles existed are TELC B1 e-mails.
+ */
+
+/** TELC "Schriftlicher Ausdruck": three criteria with the same maximum */
+function telcCriteria(max) {
+    return [
+        { key: 'taskFulfilment', label: 'Aufgabenbewältigung', max, description: 'all content points addressed, text type and register appropriate' },
+        { key: 'communicativeDesign', label: 'Kommunikative Gestaltung', max, description: 'structure, coherence, greeting/closing, connectors' },
+        { key: 'formalAccuracy', label: 'Formale Richtigkeit', max, description: 'grammar, spelling, punctuation, vocabulary' },
+    ];
+}
+
+/** Goethe-Zertifikat "Schreiben": four criteria with the same maximum */
+function goetheCriteria(max) {
+    return [
+        { key: 'taskFulfilment', label: 'Erfüllung', max, description: 'all content points addressed, text type, register and length appropriate' },
+        { key: 'coherence', label: 'Kohärenz', max, description: 'structure, logical order, connectors and references' },
+        { key: 'vocabulary', label: 'Wortschatz', max, description: 'range and accuracy of the vocabulary' },
+        { key: 'structures', label: 'Strukturen', max, description: 'range and accuracy of grammar, spelling and punctuation' },
+    ];
+}
+
+const LETTER_STRUCTURE = [
+    'A short situational context in German (2-3 sentences)',
+    'Three bullet points telling the student what to address in their response',
+];
+
+const FORUM_STRUCTURE = [
+    'A forum topic in German: a question or a short statement by another user (2-3 sentences)',
+    'Three bullet points telling the student what to include (e.g. own opinion, reasons, an example or experience)',
+];
+
+/**
+ * Profile fields:
+ *   id, label (German, for the UI), exam and textType (English, for the prompts),
+ *   taskTypes and structure (what generated exercises look like),
+ *   format ('letter': greeting, sign-off and subject line expected; 'post': forum post without them),
+ *   criteria [{key, label, max, description}], passScore,
+ *   words {min, max} (expected length), minutes (time limit in exam mode)
+ */
+const PROFILES = [
+    {
+        id: 'telc-a2-message',
+        label: 'TELC A2 · Kurze Mitteilung',
+        exam: 'TELC A2 "Schreiben"',
+        textType: 'short message or email',
+        taskTypes: [
+            'Informal message (e.g. to a friend or neighbour: invitation, appointment, asking for a favour)',
+            'Semi-formal email (e.g. to a course leader or landlord: question, cancellation, request)',
+        ],
+        structure: LETTER_STRUCTURE,
+        format: 'letter',
+        criteria: telcCriteria(5),
+        passScore: 9,
+        words: { min: 30, max: 60 },
+        minutes: 20,
+    },
+    {
+        id: 'telc-b1-email',
+        label: 'TELC B1 · E-Mail / Brief',
+        exam: 'TELC B1 "Schriftlicher Ausdruck"',
+        textType: 'email or letter',
+        taskTypes: [
+            'Formal email (e.g. complaint, request, cancellation, application)',
+            'Semi-formal email (e.g. to a landlord, teacher, colleague)',
+            'Informal email/letter (e.g. to a friend about plans, experiences, advice)',
+        ],
+        structure: LETTER_STRUCTURE,
+        format: 'letter',
+        criteria: telcCriteria(15),
+        passScore: 27,
+        words: { min: 100, max: 200 },
+        minutes: 30,
+    },
+    {
+        id: 'telc-b2-letter',
+        label: 'TELC B2 · Brief',
+        exam: 'TELC B2 "Schriftlicher Ausdruck"',
+        textType: 'formal or semi-formal letter',
+        taskTypes: [
+            'Complaint (e.g. about a product, a service, a journey)',
+            'Formal request or application (e.g. for a course, an internship, a flat)',
+            'Letter to an institution or a newspaper giving an opinion on a proposal',
+        ],
+        structure: LETTER_STRUCTURE,
+        format: 'letter',
+        criteria: telcCriteria(15),
+        passScore: 27,
+        words: { min: 150, max: 250 },
+        minutes: 30,
+    },
+    {
+        id: 'goethe-b1-email',
+        label: 'Goethe B1 · E-Mail (Teil 1)',
+        exam: 'Goethe-Zertifikat B1 "Schreiben" Teil 1',
+        textType: 'informal email to a friend',
+        taskTypes: [
+            'Informal email about an experience (e.g. a trip, a party, a move, a new job)',
+            'Informal email reacting to news from a friend',
+        ],
+        structure: LETTER_STRUCTURE,
+        format: 'letter',
+        criteria: goetheCriteria(10),
+        passScore: 24,
+        words: { min: 80, max: 120 },
+        minutes: 20,
+    },
+    {
+        id: 'goethe-b1-forum',
+        label: 'Goethe B1 · Forumsbeitrag (Teil 2)',
+        exam: 'Goethe-Zertifikat B1 "Schreiben" Teil 2',
+        textType: 'forum post giving an opinion',
+        taskTypes: [
+            'Forum post on an everyday topic (e.g. media, nutrition, leisure, school, living together)',
+        ],
+        structure: FORUM_STRUCTURE,
+        format: 'post',
+        criteria: goetheCriteria(10),
+        passScore: 24,
+        words: { min: 80, max: 120 },
+        minutes: 25,
+    },
+    {
+        id: 'goethe-b2-opinion',
+        label: 'Goethe B2 · Meinungsäußerung (Teil 1)',
+        exam: 'Goethe-Zertifikat B2 "Schreiben" Teil 1',
+        textType: 'opinion piece for an online forum',
+        taskTypes: [
+            'Opinion piece on a social topic (e.g. work, environment, education, technology, health) weighing pros and cons',
+        ],
+        structure: FORUM_STRUCTURE,
+        format: 'post',
+        criteria: goetheCriteria(10),
+        passScore: 24,
+        words: { min: 150, max: 220 },
+        minutes: 50,
+    },
+].map(profile => ({ ...profile, maxScore: profile.criteria.reduce((sum, c) => sum + c.max, 0) }));
+
+const DEFAULT_PROFILE = 'telc-b1-email';
+
+/**
+ * Get a profile by ID
+ * @param {string} [id] - Profile ID (missing or unknown: the default TELC B1 profile)
+ * @returns {Object}
+ */
+function getProfile(id) {
+    return PROFILES.find(profile => profile.id === id) || PROFILES.find(profile => profile.id === DEFAULT_PROFILE);
+}
+
+/** Whether a profile with this ID exists */
+function isProfile(id) {
+    return PROFILES.some(profile => profile.id === id);
+}
+
+/**
+ * Whether a score passes the exam of a profile
+ * @param {number|null} score
+ * @param {Object} profile
+ * @returns {boolean}
+ */
+function isPassed(score, profile) {
+    return score != null && score >= profile.passScore;
+}
+
+/**
+ * Check that a review returned a valid sub-score and justification for every criterion of a profile
+ * @param {Object} criteria - Map of criterion key to {score, justification}
+ * @param {Object} profile
+ * @returns {boolean}
+ */
+function isValidCriteria(criteria, profile) {
+    if (!criteria || typeof criteria !== 'object') return false;
+    return profile.criteria.every(({ key, max }) => {
+        const entry = criteria[key];
+        return entry
+            && typeof entry.score === 'number'
+            && entry.score >= 0 && entry.score <= max
+            && typeof entry.justification === 'string';
+    });
+}
+
+module.exports = {
+    PROFILES,
+    DEFAULT_PROFILE,
+    getProfile,
+    isProfile,
+    isPassed,
+    isValidCriteria,
+};
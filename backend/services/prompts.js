@@ -0,0 +1,250 @@
+/**
+ * Klar – Versioned prompt templates
+ *
+ * The review, generation and model answer prompts are stored in the database as numbered versions,
+ * so an admin can change the grading rubric without a redeploy and roll back a bad
+ * edit by activating an older version. Templates contain {{variables}} that are
+ * filled from the exam profile of each request. The prompt-*.txt files are the
+ * built-in defaults, stored as version 1 on first start and as a new version
+ * whenever they change (see ensureDefaults).
+ *
+ * Every review records the number of the review prompt version that produced it,
+ * so scores can be compared across rubric changes.
+ */
+const fs = require('fs');
+const path = require('path');
+const repository = require('../repository');
+const profiles = require('./profiles');
+
+/** Variables a template can use, with a German description for the admin page */
+const VARIABLES = {
+    exam: 'Name der Prüfung, z. B. TELC B1 "Schriftlicher Ausdruck"',
+    textType: 'Textsorte, z. B. email or letter',
+    minWords: 'Empfohlene Mindestlänge in Wörtern',
+    maxWords: 'Empfohlene Höchstlänge in Wörtern',
+    maxScore: 'Höchstpunktzahl',
+    passScore: 'Punkte zum Bestehen',
+    criteria: 'Liste der Bewertungskriterien mit Punkten und Beschreibung',
+    criteriaOutput: 'JSON-Felder der Kriterien für das Antwortformat',
+    taskTypes: 'Liste der Aufgabentypen der Prüfung',
+    structure: 'Liste der Bestandteile einer Aufgabe',
+};
+
+const TEMPLATES = {
+    review: { label: 'Korrektur', file: 'prompt-review.txt' },
+    generate: { label: 'Übungserstellung', file: 'prompt-generate.txt' },
+    modelAnswer: { label: 'Musterlösung', file: 'prompt-model-answer.txt' },
+};
+
+const MAX_TEMPLATE_CHARS = 20000;
+
+// Error codes (Node.js convention)
+const UNKNOWN_PROMPT = 'UNKNOWN_PROMPT';
+const INVALID_TEMPLATE = 'INVALID_TEMPLATE';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function assertKnown(name) {
+    if (!TEMPLATES[name]) {
+        throw createError(UNKNOWN_PROMPT, `Unknown prompt: ${name}`);
+    }
+}
+
+/**
+ * Store the built-in templates as version 1 where no version exists yet. When a
+ * built-in template changes in a new release it becomes the next version, unless an
+ * admin's own version is active: that one is kept.
+ */
+async function ensureDefaults() {
+    for (const [name, { file }] of Object.entries(TEMPLATES)) {
+        const template = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        const versions = await repository.getPromptVersions(name);
+        const active = versions.find(v => v.active);
+        if (versions.length && (!active?.builtin || active.template === template)) {
+            if (active && !active.builtin && !versions.some(v => v.template === template)) {
+                console.warn(`⚠️  The built-in ${name} prompt has changed; the custom version ${active.version} stays active`);
+            }
+            continue;
+        }
+        await repository.addPromptVersion({
+            name,
+            template,
+            note: versions.length ? 'Standardvorlage (aktualisiert)' : 'Standardvorlage',
+            builtin: true,
+        });
+    }
+}
+
+/**
+ * The active version of a template
+ * @param {'review'|'generate'|'modelAnswer'} name
+ * @returns {Promise<{name: string, version: number, template: string}>}
+ */
+async function getActive(name) {
+    assertKnown(name);
+    const versions = await repository.getPromptVersions(name);
+    const active = versions.find(v => v.active) || versions.at(-1);
+    if (!active) {
+        // Not stored yet (ensureDefaults has not run): the built-in default
+        return { name, version: null, template: fs.readFileSync(path.join(__dirname, TEMPLATES[name].file), 'utf8') };
+    }
+    return active;
+}
+
+/**
+ * Fill the {{variables}} of a template with the details of an exam profile
+ * (unknown variables are left as they are)
+ * @param {string} template
+ * @param {Object} profile
+ * @returns {string}
+ */
+function render(template, profile) {
+    const values = {
+        exam: profile.exam,
+        textType: profile.textType,
+        minWords: profile.words.min,
+        maxWords: profile.words.max,
+        maxScore: profile.maxScore,
+        passScore: profile.passScore,
+        criteria: profile.criteria.map(c => `- ${c.key} (0-${c.max}): ${c.description}`).join('\n'),
+        criteriaOutput: profile.criteria.map(c => `    "${c.key}": { "score": number, "justification": "short German justification" }`).join(',\n'),
+        taskTypes: profile.taskTypes.map(type => `- ${type}`).join('\n'),
+        structure: profile.structure.map(item => `- ${item}`).join('\n'),
+    };
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Check a template before it is stored or previewed
+ * @throws {Error} code=INVALID_TEMPLATE if it is empty, too long or uses unknown variables
+ */
+function validate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        throw createError(INVALID_TEMPLATE, 'Die Vorlage darf nicht leer sein');
+    }
+    if (template.length > MAX_TEMPLATE_CHARS) {
+        throw createError(INVALID_TEMPLATE, `Die Vorlage darf höchstens ${MAX_TEMPLATE_CHARS} Zeichen lang sein`);
+    }
+    const unknown = [...template.matchAll(/\{\{(\w+)\}\}/g)]
+        .map(match => match[1])
+        .filter(name => !VARIABLES[name]);
+    if (unknown.length) {
+        throw createError(INVALID_TEMPLATE, `Unbekannte Variablen: ${[...new Set(unknown)].map(v => `{{${v}}}`).join(', ')}`);
+    }
+}
+
+/**
+ * The templates with their active version number
+ * @returns {Promise<Array<{name: string, label: string, activeVersion: number, versions: number}>>}
+ */
+async function listTemplates() {
+    return Promise.all(Object.entries(TEMPLATES).map(async ([name, { label }]) => {
+        const versions = await repository.getPromptVersions(name);
+        return {
+            name,
+            label,
+            activeVersion: versions.find(v => v.active)?.version ?? null,
+            versions: versions.length,
+        };
+    }));
+}
+
+/**
+ * All versions of a template, newest first. Review prompt versions carry the number
+ * of reviews they produced and their average score in percent of the maximum.
+ * @param {'review'|'generate'|'modelAnswer'} name
+ * @returns {Promise<{name: string, label: string, variables: Object, versions: Array<Object>}>}
+ */
+async function getTemplate(name) {
+    assertKnown(name);
+    const versions = await repository.getPromptVersions(name);
+    const stats = name === 'review' ? await reviewStats() : new Map();
+    const users = new Map((await repository.getUsers()).map(user => [user.id, user.username]));
+
+    return {
+        name,
+        label: TEMPLATES[name].label,
+        variables: VARIABLES,
+        versions: versions.reverse().map(version => ({
+            ...version,
+            createdByName: version.createdBy ? users.get(version.createdBy) ?? null : null,
+            reviews: stats.get(version.version)?.reviews ?? 0,
+            averagePercent: stats.get(version.version)?.averagePercent ?? null,
+        })),
+    };
+}
+
+/** Number of reviewed attempts and average score (percent of the profile's maximum) per review prompt version */
+async function reviewStats() {
+    const byVersion = new Map();
+    for (const doc of await repository.getAllDocumentsWithContent()) {
+        const profile = profiles.getProfile(doc.profile);
+        doc.attempts
+            .filter(attempt => attempt.promptVersion != null && attempt.reviewScore != null)
+            .forEach(attempt => {
+                const entry = byVersion.get(attempt.promptVersion) || { reviews: 0, percentSum: 0 };
+                entry.reviews++;
+                entry.percentSum += attempt.reviewScore / profile.maxScore * 100;
+                byVersion.set(attempt.promptVersion, entry);
+            });
+    }
+    return new Map([...byVersion].map(([version, { reviews, percentSum }]) => [
+        version,
+        { reviews, averagePercent: Math.round(percentSum / reviews) },
+    ]));
+}
+
+/**
+ * Store an edited template as the new active version
+ * @param {'review'|'generate'|'modelAnswer'} name
+ * @param {Object} edit - {template, note?, userId?}
+ * @returns {Promise<Object>} The new version
+ * @throws {Error} code=INVALID_TEMPLATE (see validate)
+ */
+async function saveVersion(name, { template, note = '', userId = null }) {
+    assertKnown(name);
+    validate(template);
+    return repository.addPromptVersion({ name, template, note: String(note).trim(), createdBy: userId });
+}
+
+/**
+ * Make an older (or newer) version the active one again
+ * @throws {Error} code=repository.PROMPT_VERSION_NOT_FOUND if there is no such version
+ */
+async function activate(name, version) {
+    assertKnown(name);
+    return repository.activatePromptVersion(name, version);
+}
+
+/**
+ * The prompt as the model would receive it for an exam profile
+ * @param {'review'|'generate'|'modelAnswer'} name
+ * @param {Object} [options]
+ * @param {string} [options.template] - Unsaved template to preview (default: the active version)
+ * @param {string} [options.profile] - Exam profile ID (default TELC B1 e-mail)
+ * @returns {Promise<string>}
+ * @throws {Error} code=INVALID_TEMPLATE for an invalid unsaved template
+ */
+async function preview(name, { template, profile } = {}) {
+    assertKnown(name);
+    if (template !== undefined) validate(template);
+    return render(template ?? (await getActive(name)).template, profiles.getProfile(profile));
+}
+
+module.exports = {
+    VARIABLES,
+    UNKNOWN_PROMPT,
+    INVALID_TEMPLATE,
+    ensureDefaults,
+    getActive,
+    render,
+    listTemplates,
+    getTemplate,
+    saveVersion,
+    activate,
+    preview,
+};
@@ -0,0 +1,27 @@
+/**
+ * Klar – LLM provider selection
+ *
+ * A provider turns a chat request into the raw text of the model's answer and its token usage:
+ *   chat({ purpose, profile, messages, signal }) → Promise<{ content: string, usage: Usage }>
+ *   stream({ purpose, profile, messages, signal }) → AsyncGenerator<string, Usage> (text pieces as they
+ *     arrive, returns the usage at the end; optional)
+ *   Usage: { model: string, promptTokens: number, completionTokens: number }
+ * `purpose` ('review' | 'generate' | 'modelAnswer') and `profile` (the exam profile, see services/profiles.js)
+ * let offline providers pick a canned answer; real providers ignore them. Parsing and validating the answer stays in services/openai.js.
+ */
+const { LLM_PROVIDER } = require('../../config');
+
+const PROVIDERS = {
+    openai: () => require('./openai-compatible'),
+    mock: () => require('./mock'),
+};
+
+let provider;
+
+/** Get the provider configured via LLM_PROVIDER (created once) */
+function getProvider() {
+    provider ||= PROVIDERS[LLM_PROVIDER]().createProvider();
+    return provider;
+}
+
+module.exports = { getProvider };
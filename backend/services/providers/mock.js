@@ -0,0 +1,178 @@
+/**
+ * Klar – Offline mock provider (LLM_PROVIDER=mock)
+ * Returns deterministic, canned answers in the same JSON format as the real model,
+ * so the app can run without network access and be tested end to end.
+ */
+
+const EXERCISES = [
+    {
+        title: 'Beschwerde über eine Reise',
+        topic: 'Reklamation, Busreise',
+        task: 'Sie haben eine Busreise nach Wien gebucht. Leider war vieles nicht so, wie im Katalog beschrieben.\n\n'
+            + 'Schreiben Sie eine E-Mail an das Reisebüro:\n'
+            + '- Beschreiben Sie, was nicht in Ordnung war.\n'
+            + '- Erklären Sie, welche Folgen das für Sie hatte.\n'
+            + '- Sagen Sie, was Sie jetzt vom Reisebüro erwarten.',
+    },
+    {
+        title: 'Einladung zur Geburtstagsfeier',
+        topic: 'Absage, Geburtstag',
+        task: 'Ihr Freund Jonas hat Sie zu seiner Geburtstagsfeier eingeladen, aber Sie haben an dem Tag schon einen Termin.\n\n'
+            + 'Schreiben Sie Jonas eine E-Mail:\n'
+            + '- Bedanken Sie sich für die Einladung.\n'
+            + '- Erklären Sie, warum Sie nicht kommen können.\n'
+            + '- Machen Sie einen Vorschlag für ein anderes Treffen.',
+    },
+    {
+        title: 'Anfrage an die Sprachschule',
+        topic: 'Anfrage, Sprachkurs',
+        task: 'Sie möchten im Sommer einen Deutschkurs besuchen und haben eine Anzeige einer Sprachschule gelesen.\n\n'
+            + 'Schreiben Sie eine E-Mail an die Sprachschule:\n'
+            + '- Fragen Sie nach Kurszeiten und Preisen.\n'
+            + '- Beschreiben Sie Ihre Deutschkenntnisse.\n'
+            + '- Fragen Sie nach einer Unterkunft.',
+    },
+];
+
+/** Model answers per profile format (see services/profiles.js) */
+const MODEL_ANSWERS = {
+    letter: 'Sehr geehrte Damen und Herren,\n\n'
+        + 'ich schreibe Ihnen, weil ich mit Ihrem Angebot leider nicht zufrieden war. '
+        + 'Im Katalog stand, dass das Hotel direkt im Zentrum liegt, aber wir mussten jeden Tag eine halbe Stunde mit dem Bus fahren.\n\n'
+        + 'Deshalb haben wir viel Zeit verloren und konnten zwei Ausflüge nicht machen. '
+        + 'Außerdem mussten wir die Fahrkarten selbst bezahlen, obwohl das nicht geplant war.\n\n'
+        + 'Ich erwarte, dass Sie mir einen Teil des Preises zurückzahlen. '
+        + 'Ich denke, dass 150 Euro angemessen sind. Bitte antworten Sie mir bis Ende des Monats.\n\n'
+        + 'Mit freundlichen Grüßen\nMaria Schneider',
+    post: 'Ich finde dieses Thema sehr wichtig, weil es fast alle Menschen betrifft. '
+        + 'Meiner Meinung nach hat es Vorteile und Nachteile.\n\n'
+        + 'Einerseits kann man damit viel Zeit sparen und neue Leute kennenlernen. '
+        + 'Andererseits besteht die Gefahr, dass man weniger Kontakt zu seiner Familie und zu seinen Freunden hat.\n\n'
+        + 'Ich habe selbst erlebt, dass es mir besser geht, wenn ich nicht jeden Tag stundenlang am Handy bin. '
+        + 'Deshalb würde ich allen empfehlen, bewusst Pausen zu machen.',
+};
+
+/** Streamed answers arrive in pieces of this size, one every STREAM_DELAY_MS */
+const STREAM_CHUNK_CHARS = 24;
+const STREAM_DELAY_MS = 15;
+
+/** Frequent learner mistakes the mock "finds" when they appear in a submission */
+const KNOWN_MISTAKES = [
+    { original: 'langweilich', replacement: 'langweilig', category: 'spelling', explanation: 'Adjektive auf -ig schreibt man mit g.' },
+    { original: 'wegen dem', replacement: 'wegen des', category: 'grammar', explanation: '„wegen“ steht in der Schriftsprache mit Genitiv.' },
+    { original: 'Ich habe gegangen', replacement: 'Ich bin gegangen', category: 'grammar', explanation: 'Verben der Bewegung bilden das Perfekt mit „sein“.' },
+    { original: 'seit zwei Jahre', replacement: 'seit zwei Jahren', category: 'grammar', explanation: 'Nach „seit“ folgt der Dativ.' },
+    { original: 'in Internet', replacement: 'im Internet', category: 'grammar', explanation: '„Internet“ braucht den Artikel: in + dem = im.' },
+];
+
+function createProvider() {
+    let generated = 0;
+
+    return {
+        name: 'mock',
+
+        async chat({ purpose, profile, messages }) {
+            const userMessage = messages[messages.length - 1]?.content || '';
+            let result;
+            if (purpose === 'review') {
+                result = review(JSON.parse(userMessage), profile);
+            } else if (purpose === 'modelAnswer') {
+                result = { answer: MODEL_ANSWERS[profile.format] };
+            } else {
+                // Skip the exercises the request lists as already practised ("- Title (topic)")
+                const practised = userMessage.split('\n').filter(line => line.startsWith('- ')).map(line => line.slice(2));
+                do {
+                    result = generate(generated++);
+                } while (practised.some(line => line === result.title || line.startsWith(`${result.title} (`)));
+            }
+            const content = JSON.stringify(result);
+            return { content, usage: estimateUsage(messages, content) };
+        },
+
+        async *stream({ purpose, profile, messages, signal }) {
+            const { content, usage } = await this.chat({ purpose, profile, messages });
+            for (let i = 0; i < content.length; i += STREAM_CHUNK_CHARS) {
+                await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+                signal?.throwIfAborted();
+                yield content.slice(i, i + STREAM_CHUNK_CHARS);
+            }
+            return usage;
+        },
+    };
+}
+
+/** Rough token counts (about four characters per token), so usage tracking can be tried offline */
+function estimateUsage(messages, content) {
+    const tokens = text => Math.ceil(text.length / 4);
+    return {
+        model: 'mock',
+        promptTokens: messages.reduce((sum, message) => sum + tokens(message.content), 0),
+        completionTokens: tokens(content),
+    };
+}
+
+/** Cycle through the canned exercises; later rounds get a number so titles stay unique */
+function generate(index) {
+    const exercise = EXERCISES[index % EXERCISES.length];
+    const round = Math.floor(index / EXERCISES.length);
+    return {
+        title: round ? `${exercise.title} ${round + 1}` : exercise.title,
+        topic: exercise.topic,
+        task: exercise.task,
+    };
+}
+
+/**
+ * Score the criteria of the profile: the first by length, the last by the number of
+ * known mistakes found, the ones in between by the greeting
+ */
+function review({ contentText = '', contentPoints = [] }, profile) {
+    const words = contentText.trim().split(/\s+/).filter(Boolean).length;
+    const edits = KNOWN_MISTAKES.filter(m => contentText.includes(m.original));
+    const greeting = /^(Liebe|Lieber|Hallo|Sehr geehrte)/m.test(contentText);
+
+    const criteria = Object.fromEntries(profile.criteria.map(({ key, max }, i) => {
+        if (i === 0) {
+            return [key, {
+                score: Math.min(max, Math.floor(words / profile.words.min * max)),
+                justification: words >= profile.words.min ? 'Der Text hat eine angemessene Länge.' : 'Der Text ist zu kurz.',
+            }];
+        }
+        if (i === profile.criteria.length - 1) {
+            return [key, {
+                score: Math.max(0, Math.round(max * 0.87) - edits.length * 2),
+                justification: edits.length ? `${edits.length} typische Fehler gefunden.` : 'Keine typischen Fehler gefunden.',
+            }];
+        }
+        return [key, {
+            score: Math.round(max * (greeting ? 0.8 : 0.47)),
+            justification: 'Anrede und Aufbau wurden automatisch geprüft (Testmodus).',
+        }];
+    }));
+    const score = Object.values(criteria).reduce((sum, c) => sum + c.score, 0);
+
+    return {
+        score,
+        criteria,
+        contentPoints: contentPoints.map(point => coverage(point, contentText)),
+        feedback: `Testmodus: ${score} von ${profile.maxScore} Punkten – ${score >= profile.passScore ? 'bestanden' : 'nicht bestanden'}.`,
+        edits,
+    };
+}
+
+/**
+ * A content point counts as covered when a sentence shares two of its longer words
+ * with it, as partly covered with one
+ */
+function coverage(point, contentText) {
+    const words = point.toLowerCase().match(/\p{L}{5,}/gu) || [];
+    const sentences = contentText.match(/[^.!?]+[.!?]?/g) || [];
+    const best = sentences
+        .map(sentence => ({ sentence: sentence.trim(), hits: words.filter(w => sentence.toLowerCase().includes(w)).length }))
+        .sort((a, b) => b.hits - a.hits)[0];
+
+    if (!best?.hits) return { point, status: 'missed', evidence: '' };
+    return { point, status: best.hits >= 2 ? 'covered' : 'partial', evidence: best.sentence };
+}
+
+module.exports = { createProvider };
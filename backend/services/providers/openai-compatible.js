@@ -0,0 +1,55 @@
+/**
+ * Klar – OpenAI chat completions provider
+ * Works with api.openai.com and any OpenAI-compatible server (Ollama, LM Studio, vLLM, ...)
+ * by setting OPENAI_BASE_URL, e.g. http://localhost:11434/v1
+ */
+const OpenAI = require('openai');
+const { OPENAI_TOKEN, OPENAI_BASE_URL, MODEL } = require('../../config');
+
+function createProvider() {
+    const client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK insists on one
+        apiKey: OPENAI_TOKEN || 'not-needed',
+        baseURL: OPENAI_BASE_URL,
+    });
+
+    return {
+        name: 'openai',
+
+        async chat({ messages, signal }) {
+            const completion = await client.chat.completions.create({
+                model: MODEL,
+                messages,
+            }, { signal });
+            return { content: completion.choices[0].message.content, usage: usageOf(completion) };
+        },
+
+        async *stream({ messages, signal }) {
+            const stream = await client.chat.completions.create({
+                model: MODEL,
+                messages,
+                stream: true,
+                // The last chunk then carries the token counts
+                stream_options: { include_usage: true },
+            }, { signal });
+            let usage = usageOf({});
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) yield delta;
+                if (chunk.usage) usage = usageOf(chunk);
+            }
+            return usage;
+        },
+    };
+}
+
+/** Token counts of a completion (local servers may not report them) */
+function usageOf(completion) {
+    return {
+        model: completion.model || MODEL,
+        promptTokens: completion.usage?.prompt_tokens ?? 0,
+        completionTokens: completion.usage?.completion_tokens ?? 0,
+    };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,56 @@
+/**
+ * Klar – Cache of AI reviews
+ *
+ * Reviewing the same task and text again with the same prompt and model returns the
+ * stored review instead of a new model call, which would cost money and could score
+ * the unchanged text differently. A forced review asks the model anyway and replaces
+ * the cached one.
+ */
+const crypto = require('crypto');
+const repository = require('../repository');
+const openai = require('./openai');
+const profiles = require('./profiles');
+const prompts = require('./prompts');
+const usage = require('./usage');
+const { LLM_PROVIDER, MODEL } = require('../config');
+
+/**
+ * Cache key of a review: hash of task, submission text, exam profile, the review prompt
+ * as sent for that profile (so editing or rolling back the prompt is a new key) and model
+ * @param {Object} command - {taskContent, contentText, profile} (see openai.reviewContent)
+ * @returns {Promise<string>}
+ */
+async function keyOf({ taskContent, contentText, profile: profileId }) {
+    const profile = profiles.getProfile(profileId);
+    const prompt = prompts.render((await prompts.getActive('review')).template, profile);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([taskContent ?? '', contentText, profile.id, prompt, `${LLM_PROVIDER}:${MODEL}`]))
+        .digest('hex');
+}
+
+/**
+ * Review content (see openai.reviewContent), answered from the cache when possible
+ * @param {Object} command - {taskContent, contentText, profile}
+ * @param {Object} [options] - Options of openai.reviewContent (its context.userId owns the
+ *   cache entry, which goes with the account), plus:
+ * @param {boolean} [options.force] - Ask the model even if the review is cached
+ * @returns {Promise<{review: Object, cached: boolean}>}
+ * @throws {Error} code=BUDGET_EXCEEDED if the model would be asked but the budget is used up
+ */
+async function reviewContent(command, { force = false, ...options } = {}) {
+    const key = await keyOf(command);
+    if (!force) {
+        const entry = await repository.getCachedReview(key);
+        if (entry) return { review: entry.review, cached: true };
+    }
+
+    await usage.assertWithinBudget();
+    const review = await openai.reviewContent(command, options);
+    await repository.putCachedReview({ key, userId: options.context?.userId ?? null, review });
+    return { review, cached: false };
+}
+
+module.exports = {
+    keyOf,
+    reviewContent,
+};
@@ -0,0 +1,101 @@
+/**
+ * Klar – Review workflow: send a document's submission to the AI and store the result
+ */
+const repository = require('../repository');
+const reviewCache = require('./review-cache');
+const deck = require('./deck');
+
+// Error codes (Node.js convention)
+const NOTHING_TO_REVIEW = 'NOTHING_TO_REVIEW';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check that a document has a text to review
+ * @param {string} documentId
+ * @throws {Error} code=NOTHING_TO_REVIEW if there is no submission text
+ */
+async function assertReviewable(documentId) {
+    const content = await repository.getContent(documentId);
+    if (!content.submissionText) {
+        throw createError(NOTHING_TO_REVIEW, 'Es gibt noch keinen Text zum Korrigieren.');
+    }
+}
+
+/**
+ * Review the current submission of a document, update its content, record a new attempt
+ * and add its mistakes to the deck. Nothing is stored unless the complete answer is valid.
+ * An unchanged text gets its cached review back; if that is already the latest attempt,
+ * no new attempt is recorded.
+ * @param {string} documentId
+ * @param {Object} [options] - Streaming options (see openai.reviewContent)
+ * @param {(partial: Object) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean} [options.force] - Ask the model again even if the text was reviewed before
+ * @returns {Promise<{attempt: Object, cached: boolean}>} The stored (or unchanged latest) attempt
+ * @throws {Error} code=NOTHING_TO_REVIEW if there is no submission text
+ */
+async function reviewDocument(documentId, options = {}) {
+    const content = await repository.getContent(documentId);
+    if (!content || !content.submissionText) {
+        throw createError(NOTHING_TO_REVIEW, 'No submission text found for review');
+    }
+    const document = await repository.getDocument(documentId);
+
+    const { review, cached } = await reviewCache.reviewContent({
+        taskContent: content.task,
+        contentText: content.submissionText,
+        profile: document?.profile,
+        contentPoints: content.contentPoints ?? [],
+    }, { ...options, context: { userId: document?.userId, documentId } });
+    options.signal?.throwIfAborted();
+
+    // Read again: a model answer may have been stored while the model was reviewing
+    const current = await repository.getContent(documentId);
+    await repository.upsertContent({
+        ...current,
+        documentId,
+        reviewScore: review.score,
+        reviewCriteria: review.criteria,
+        reviewFeedback: review.feedback,
+        correction: review.correction,
+        edits: review.edits,
+        droppedEdits: review.droppedEdits ?? null,
+        contentCoverage: review.contentCoverage ?? null,
+        promptVersion: review.promptVersion ?? null,
+    });
+
+    const latest = (await repository.getAttempts(documentId)).at(-1);
+    if (cached && latest && latest.task === content.task && latest.submissionText === content.submissionText
+        && latest.reviewScore === review.score && latest.reviewFeedback === review.feedback
+        && latest.promptVersion === (review.promptVersion ?? null)) {
+        return { attempt: latest, cached };
+    }
+
+    const attempt = await repository.addAttempt({
+        documentId,
+        task: content.task,
+        submissionText: content.submissionText,
+        reviewScore: review.score,
+        reviewCriteria: review.criteria,
+        reviewFeedback: review.feedback,
+        correction: review.correction,
+        edits: review.edits,
+        droppedEdits: review.droppedEdits ?? null,
+        contentCoverage: review.contentCoverage ?? null,
+        promptVersion: review.promptVersion ?? null,
+    });
+
+    await deck.addFromDocument(documentId);
+    return { attempt, cached };
+}
+
+module.exports = {
+    reviewDocument,
+    NOTHING_TO_REVIEW,
+    assertReviewable,
+};
@@ -0,0 +1,140 @@
+/**
+ * Klar – Search, filters and tags for the exercise list
+ *
+ * The same query parameters drive /api/documents and /partials/text-list:
+ *   q       full-text search in title, task and submission (all words must match)
+ *   status  reviewed | unreviewed | passed | failed
+ *   from/to creation date range (YYYY-MM-DD, both inclusive)
+ *   tag     only documents carrying this tag (repeatable, all must match)
+ *   ids     only these documents (comma-separated or repeated)
+ */
+const profiles = require('./profiles');
+
+const STATUSES = ['reviewed', 'unreviewed', 'passed', 'failed'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_LABELS = {
+    reviewed: 'Korrigiert',
+    unreviewed: 'Nicht korrigiert',
+    passed: 'Bestanden',
+    failed: 'Nicht bestanden',
+};
+
+/** Lower-case for case-insensitive matching (German locale, so ß/ä/ö/ü behave) */
+function fold(value) {
+    return String(value ?? '').toLocaleLowerCase('de-DE');
+}
+
+/**
+ * Clean up a tag list: trimmed, whitespace collapsed, de-duplicated case-insensitively
+ * @param {Array<string>|string} tags - Array or comma-separated string
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    const seen = new Set();
+    return list
+        .map(tag => String(tag ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH))
+        .filter(tag => {
+            if (!tag || seen.has(fold(tag))) return false;
+            seen.add(fold(tag));
+            return true;
+        })
+        .slice(0, MAX_TAGS);
+}
+
+/** Parse YYYY-MM-DD into a timestamp (start of day, UTC); invalid dates are ignored */
+function parseDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value ?? ''))) return null;
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Read the filter parameters of a request query; unknown or invalid values are dropped
+ * @param {Object} query - req.query
+ * @returns {{q: string, status: string, from: string, to: string, tags: Array<string>, ids: Array<string>}}
+ */
+function parseFilters(query = {}) {
+    return {
+        q: String(query.q ?? '').trim(),
+        status: STATUSES.includes(query.status) ? query.status : '',
+        from: parseDay(query.from) !== null ? query.from : '',
+        to: parseDay(query.to) !== null ? query.to : '',
+        tags: normalizeTags(query.tag ?? []),
+        ids: [].concat(query.ids ?? []).flatMap(ids => String(ids).split(',')).map(id => id.trim()).filter(Boolean),
+    };
+}
+
+/** True if any filter is set (to tell "no documents" from "no matches") */
+function hasFilters(filters) {
+    return !!(filters.q || filters.status || filters.from || filters.to || filters.tags.length || filters.ids.length);
+}
+
+/**
+ * Describe the active filters in German (e.g. for the PDF cover page)
+ * @param {Object} filters - Result of parseFilters()
+ * @returns {string} Empty if no filter is set
+ */
+function describeFilters(filters) {
+    const formatDay = day => new Date(`${day}T00:00:00Z`).toLocaleDateString('de-DE', { timeZone: 'UTC' });
+    const parts = [];
+    if (filters.from && filters.to) parts.push(`${formatDay(filters.from)} – ${formatDay(filters.to)}`);
+    else if (filters.from) parts.push(`ab ${formatDay(filters.from)}`);
+    else if (filters.to) parts.push(`bis ${formatDay(filters.to)}`);
+    if (filters.status) parts.push(STATUS_LABELS[filters.status]);
+    if (filters.tags.length) parts.push(`Tags: ${filters.tags.join(', ')}`);
+    if (filters.q) parts.push(`Suche: „${filters.q}“`);
+    if (filters.ids.length) parts.push('Auswahl');
+    return parts.join(' · ');
+}
+
+/**
+ * Build a predicate over a document and its content for repository.getDocuments()
+ * @param {Object} filters - Result of parseFilters()
+ * @returns {(document: Object, content: Object) => boolean}
+ */
+function toPredicate(filters) {
+    const words = fold(filters.q).split(/\s+/).filter(Boolean);
+    const from = parseDay(filters.from);
+    const to = parseDay(filters.to);
+    const tags = filters.tags.map(fold);
+
+    return (document, content = {}) => {
+        if (filters.ids.length && !filters.ids.includes(document.id)) return false;
+
+        if (words.length) {
+            const haystack = fold([document.title, content.task, content.submissionText].join('\n'));
+            if (!words.every(word => haystack.includes(word))) return false;
+        }
+
+        const score = content.reviewScore ?? null;
+        const passed = profiles.isPassed(score, profiles.getProfile(document.profile));
+        if (filters.status === 'reviewed' && score === null) return false;
+        if (filters.status === 'unreviewed' && score !== null) return false;
+        if (filters.status === 'passed' && !passed) return false;
+        if (filters.status === 'failed' && (score === null || passed)) return false;
+
+        const created = new Date(document.creationDate).getTime();
+        if (from !== null && created < from) return false;
+        if (to !== null && created >= to + DAY_MS) return false;
+
+        if (tags.length) {
+            const own = (document.tags || []).map(fold);
+            if (!tags.every(tag => own.includes(tag))) return false;
+        }
+        return true;
+    };
+}
+
+module.exports = {
+    STATUSES,
+    normalizeTags,
+    parseFilters,
+    hasFilters,
+    describeFilters,
+    toPredicate,
+};
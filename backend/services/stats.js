@@ -0,0 +1,107 @@
+/**
+ * Klar – Learning progress statistics (dashboard)
+ *
+ * Exercises of different exam profiles have different score scales, so scores are
+ * compared as a percentage of the maximum of their profile.
+ */
+const profiles = require('./profiles');
+const corrections = require('./corrections');
+
+const TOP_MISTAKES = 10;
+
+/**
+ * Aggregate progress statistics over all documents
+ * @param {Array<Object>} data - Result of repository.getAllDocumentsWithContent()
+ * @returns {{
+ *   passPercent: number|null,
+ *   totalDocuments: number, reviewedDocuments: number, passedDocuments: number, passRate: number|null,
+ *   averagePercent: number|null, averageWordCount: number|null,
+ *   scoreHistory: Array<{date: string, score: number, maxScore: number, percent: number, passed: boolean, title: string, documentId: string}>,
+ *   categories: Array<{category: string, label: string, count: number}>,
+ *   mistakes: Array<{original: string, replacement: string, count: number}>
+ * }} passPercent is the pass mark in percent if all reviewed profiles share it
+ */
+function computeStats(data) {
+    const reviewed = data.filter(item => item.reviewScore != null);
+    const passed = reviewed.filter(item => profiles.isPassed(item.reviewScore, profiles.getProfile(item.profile)));
+    const wordCounts = data.map(item => countWords(item.submissionText)).filter(n => n > 0);
+    const passPercents = new Set(reviewed.map(item => percentOf(profiles.getProfile(item.profile).passScore, item.profile)));
+
+    return {
+        passPercent: passPercents.size === 1 ? [...passPercents][0] : null,
+        totalDocuments: data.length,
+        reviewedDocuments: reviewed.length,
+        passedDocuments: passed.length,
+        passRate: reviewed.length ? passed.length / reviewed.length : null,
+        averagePercent: average(reviewed.map(item => percentOf(item.reviewScore, item.profile))),
+        averageWordCount: average(wordCounts),
+        scoreHistory: scoreHistory(data),
+        ...mistakeStats(data),
+    };
+}
+
+/** Every reviewed attempt in chronological order; legacy reviews without attempts use the document date */
+function scoreHistory(data) {
+    const points = [];
+    data.forEach(item => {
+        const profile = profiles.getProfile(item.profile);
+        const point = (date, score) => ({
+            date,
+            score,
+            maxScore: profile.maxScore,
+            percent: percentOf(score, item.profile),
+            passed: profiles.isPassed(score, profile),
+            title: item.title,
+            documentId: item.id,
+        });
+        const attempts = (item.attempts || []).filter(a => a.reviewScore != null);
+        if (attempts.length) {
+            attempts.forEach(a => points.push(point(a.createdAt, a.reviewScore)));
+        } else if (item.reviewScore != null) {
+            points.push(point(item.creationDate, item.reviewScore));
+        }
+    });
+    return points.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/** Count error categories and recurring wrong→right pairs in the current review of each document */
+function mistakeStats(data) {
+    const categoryCounts = new Map();
+    const pairCounts = new Map();
+
+    data.forEach(item => {
+        corrections.toPairs(item).forEach(({ original, replacement, category }) => {
+            if (category) {
+                categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+            }
+            const key = original.trim() + '\u0000' + replacement.trim();
+            const entry = pairCounts.get(key) || { original: original.trim(), replacement: replacement.trim(), count: 0 };
+            entry.count++;
+            pairCounts.set(key, entry);
+        });
+    });
+
+    return {
+        categories: [...categoryCounts]
+            .map(([category, count]) => ({ category, label: corrections.categoryLabel(category), count }))
+            .sort((a, b) => b.count - a.count),
+        mistakes: [...pairCounts.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TOP_MISTAKES),
+    };
+}
+
+/** A score in percent of the maximum of a profile (rounded to whole percent) */
+function percentOf(score, profileId) {
+    return Math.round(score / profiles.getProfile(profileId).maxScore * 100);
+}
+
+function countWords(text) {
+    return (text || '').trim().split(/\s+/).filter(w => w.length > 0).length;
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+module.exports = { computeStats, countWords };
@@ -0,0 +1,220 @@
+/**
+ * Klar – Word-level diff of two texts
+ *
+ * Used to show what a learner changed between two attempts of an exercise and
+ * which corrected mistakes came back, and to check that a review's correction
+ * (with its --wrong--++right++ markup removed) still is the submitted text.
+ * Differences in whitespace alone (line breaks, double spaces) are ignored.
+ *
+ * Diff segment: {type: 'equal'|'removed'|'added', text}
+ */
+const corrections = require('./corrections');
+
+/** Words (letters and digits, including hyphenated compounds), single punctuation marks and whitespace runs */
+const TOKEN = /\s+|[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu;
+const WORD = /[\p{L}\p{N}]/u;
+/** Above this many token comparisons the differing middle part is reported as one replacement */
+const MAX_CELLS = 4000000;
+/** Unmarked changes listed by checkCorrection() */
+const MAX_CHANGES = 20;
+
+// ==================== DIFF ====================
+
+function tokenize(text) {
+    return String(text ?? '').match(TOKEN) || [];
+}
+
+/** Whitespace runs compare equal to each other */
+function keyOf(token) {
+    return /^\s/.test(token) ? ' ' : token;
+}
+
+/**
+ * Compare two texts word by word
+ * @param {string} before
+ * @param {string} after
+ * @returns {{segments: Array<{type: 'equal'|'removed'|'added', text: string}>, stats: {added: number, removed: number, unchanged: number}}}
+ *   Equal segments carry the text of `after`; stats count words, not punctuation or whitespace
+ */
+function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const ka = a.map(keyOf);
+    const kb = b.map(keyOf);
+
+    let start = 0;
+    while (start < a.length && start < b.length && ka[start] === kb[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && ka[endA - 1] === kb[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'equal', text: b[i] });
+    ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB), ka.slice(start, endA), kb.slice(start, endB)));
+    for (let j = endB; j < b.length; j++) ops.push({ type: 'equal', text: b[j] });
+
+    return { segments: merge(ops), stats: countWords(ops) };
+}
+
+/** Longest common subsequence of the tokens that differ between prefix and suffix */
+function diffMiddle(a, b, ka, kb) {
+    const n = a.length;
+    const m = b.length;
+    if (!n || !m || n * m > MAX_CELLS) {
+        return [
+            ...a.map(text => ({ type: 'removed', text })),
+            ...b.map(text => ({ type: 'added', text })),
+        ];
+    }
+
+    // lcs[i * (m + 1) + j] = length of the LCS of a[i..] and b[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = ka[i] === kb[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (ka[i] === kb[j]) {
+            ops.push({ type: 'equal', text: b[j] });
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            ops.push({ type: 'removed', text: a[i++] });
+        } else {
+            ops.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: 'removed', text: a[i++] });
+    while (j < m) ops.push({ type: 'added', text: b[j++] });
+    return ops;
+}
+
+/**
+ * Join runs of the same type; a single space between two changes is folded into both
+ * sides so "--habe gestern-- ++bin heute++" reads as one replacement
+ */
+function merge(ops) {
+    const folded = [];
+    ops.forEach((op, i) => {
+        const prev = ops[i - 1];
+        const next = ops[i + 1];
+        if (op.type === 'equal' && /^\s+$/.test(op.text) && prev && next && prev.type !== 'equal' && next.type !== 'equal') {
+            folded.push({ type: 'removed', text: op.text }, { type: 'added', text: op.text });
+        } else {
+            folded.push(op);
+        }
+    });
+
+    // Removed text first within a change, then added
+    const segments = [];
+    let removed = '';
+    let added = '';
+    const flush = () => {
+        if (removed) segments.push({ type: 'removed', text: removed });
+        if (added) segments.push({ type: 'added', text: added });
+        removed = '';
+        added = '';
+    };
+    folded.forEach(op => {
+        if (op.type === 'removed') removed += op.text;
+        else if (op.type === 'added') added += op.text;
+        else {
+            flush();
+            const last = segments[segments.length - 1];
+            if (last?.type === 'equal') last.text += op.text;
+            else segments.push({ type: 'equal', text: op.text });
+        }
+    });
+    flush();
+    return segments;
+}
+
+function countWords(ops) {
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    ops.filter(op => WORD.test(op.text)).forEach(op => {
+        stats[op.type === 'equal' ? 'unchanged' : op.type]++;
+    });
+    return stats;
+}
+
+// ==================== CORRECTIONS ====================
+
+/**
+ * The two texts behind a correction: what the learner wrote and what the review suggests
+ * @param {Object} source - {submissionText, edits, correction} (see corrections.toSegments)
+ * @returns {{original: string, corrected: string}}
+ */
+function stripMarkup(source) {
+    const segments = corrections.toSegments(source);
+    return {
+        original: segments.filter(seg => seg.type !== 'added').map(seg => seg.text).join(''),
+        corrected: segments.filter(seg => seg.type !== 'removed').map(seg => seg.text).join(''),
+    };
+}
+
+/**
+ * Check that a review only changed the submission where it marks a correction.
+ * Structured edits must point at the text they claim to replace, and edits the model
+ * made to text that is not in the submission (dropped when the review was anchored,
+ * see corrections.anchorEdits) count as unmarked rewrites. Records without edits
+ * (legacy or hand-edited markup) have the markup of `correction` removed and the
+ * result compared with the submission.
+ * @param {Object} source - Attempt or content: {submissionText, correction, edits, droppedEdits}
+ * @returns {{consistent: boolean, changedWords: number, changes: Array<{type: 'removed'|'added', text: string}>, misplacedEdits: number, droppedEdits: Array<Object>}|null}
+ *   null if there is no correction; `changes` lists the unmarked differences (removed = only in the submission)
+ */
+function checkCorrection({ submissionText = '', correction = '', edits = null, droppedEdits = null } = {}) {
+    if (!correction && !Array.isArray(edits)) return null;
+
+    const structured = Array.isArray(edits);
+    const misplacedEdits = structured
+        ? edits.filter(edit => submissionText.slice(edit.start, edit.end) !== edit.original).length
+        : 0;
+    const dropped = structured && Array.isArray(droppedEdits) ? droppedEdits : [];
+    const { original } = structured ? stripMarkup({ submissionText, edits }) : stripMarkup({ correction });
+    const { segments, stats } = diffWords(submissionText, original);
+    const changes = segments.filter(seg => seg.type !== 'equal' && seg.text.trim());
+
+    return {
+        consistent: !changes.length && !misplacedEdits && !dropped.length,
+        changedWords: stats.added + stats.removed,
+        changes: changes.slice(0, MAX_CHANGES),
+        misplacedEdits,
+        droppedEdits: dropped.slice(0, MAX_CHANGES),
+    };
+}
+
+/**
+ * Corrections of a newer attempt that were already made in an older one
+ * @param {Object} older - Attempt {submissionText, correction, edits}
+ * @param {Object} newer - Attempt
+ * @returns {Array<{original: string, replacement: string, category: string}>} In text order, each mistake once
+ */
+function repeatedMistakes(older, newer) {
+    const keyOfPair = pair => `${pair.original.trim().toLowerCase()}|${pair.replacement.trim()}`;
+    const earlier = new Set(corrections.toPairs(older).filter(pair => pair.original.trim()).map(keyOfPair));
+    const seen = new Set();
+    return corrections.toPairs(newer)
+        .filter(pair => pair.original.trim() && earlier.has(keyOfPair(pair)))
+        .filter(pair => !seen.has(keyOfPair(pair)) && seen.add(keyOfPair(pair)))
+        .map(pair => ({ original: pair.original, replacement: pair.replacement, category: pair.category || 'other' }));
+}
+
+module.exports = {
+    tokenize,
+    diffWords,
+    stripMarkup,
+    checkCorrection,
+    repeatedMistakes,
+};
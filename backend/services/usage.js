@@ -0,0 +1,173 @@
+/**
+ * Klar – Token usage, costs and spending budgets
+ *
+ * Every model call is logged with its model, token counts, estimated cost (from the
+ * LLM_PRICES table, USD per million tokens) and the user and document it was made for.
+ * The log stays when a document or account is deleted, since the money is spent.
+ * Once BUDGET_DAILY_USD or BUDGET_MONTHLY_USD is used up, new AI requests are refused.
+ *
+ * Usage record: {id, createdAt, day, purpose, model, promptTokens, completionTokens, cost, userId, documentId}
+ */
+const repository = require('../repository');
+const { LLM_PRICES, BUDGET_DAILY_USD, BUDGET_MONTHLY_USD } = require('../config');
+
+/** Days shown in the usage summary by default */
+const DEFAULT_DAYS = 30;
+/** Longest range the usage summary covers (every day is one lookup) */
+const MAX_DAYS = 366;
+
+// Error codes (Node.js convention)
+const BUDGET_EXCEEDED = 'BUDGET_EXCEEDED';
+
+function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Price of a model: exact match, else the longest configured name the model starts with
+ * (APIs answer with dated names such as gpt-4o-2024-08-06 for gpt-4o)
+ * @returns {{input: number, output: number}|null} USD per million tokens
+ */
+function priceOf(model) {
+    if (LLM_PRICES[model]) return LLM_PRICES[model];
+    const prefix = Object.keys(LLM_PRICES)
+        .filter(name => model?.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? LLM_PRICES[prefix] : null;
+}
+
+/**
+ * Estimated cost of a model call in USD (0 for models without a price)
+ * @param {{model: string, promptTokens: number, completionTokens: number}} usage
+ * @returns {number}
+ */
+function costOf({ model, promptTokens, completionTokens }) {
+    const price = priceOf(model);
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Log a model call. Logging never fails the call it belongs to.
+ * @param {Object} call
+ * @param {'review'|'generate'|'modelAnswer'} call.purpose
+ * @param {{model: string, promptTokens: number, completionTokens: number}} call.usage - As reported by the provider
+ * @param {Object} [call.context] - {userId, documentId} the call was made for
+ */
+async function record({ purpose, usage, context = {} }) {
+    if (!usage) return;
+    try {
+        const createdAt = new Date().toISOString();
+        await repository.addUsage({
+            createdAt,
+            day: createdAt.slice(0, 10),
+            purpose,
+            model: usage.model,
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            cost: costOf(usage),
+            userId: context.userId ?? null,
+            documentId: context.documentId ?? null,
+        });
+    } catch (error) {
+        console.error('Error logging token usage:', error);
+    }
+}
+
+/** Spending of today and of the current month (UTC) in USD */
+async function spending() {
+    const today = new Date().toISOString().slice(0, 10);
+    const records = await repository.getUsage({ from: `${today.slice(0, 7)}-01`, to: today });
+    return {
+        today: sum(records.filter(r => r.day === today), 'cost'),
+        month: sum(records, 'cost'),
+    };
+}
+
+/**
+ * Refuse new AI requests once a budget is used up
+ * @throws {Error} code=BUDGET_EXCEEDED with a message for the learner
+ */
+async function assertWithinBudget() {
+    if (!BUDGET_DAILY_USD && !BUDGET_MONTHLY_USD) return;
+    const spent = await spending();
+    if (BUDGET_DAILY_USD && spent.today >= BUDGET_DAILY_USD) {
+        throw createError(BUDGET_EXCEEDED, 'Das Tagesbudget für KI-Anfragen ist aufgebraucht. Bitte versuchen Sie es morgen erneut.');
+    }
+    if (BUDGET_MONTHLY_USD && spent.month >= BUDGET_MONTHLY_USD) {
+        throw createError(BUDGET_EXCEEDED, 'Das Monatsbudget für KI-Anfragen ist aufgebraucht. Bitte wenden Sie sich an die Kursleitung.');
+    }
+}
+
+/**
+ * Usage per day and per document in a date range
+ * @param {Object} [range]
+ * @param {string} [range.from] - First day (YYYY-MM-DD), default DEFAULT_DAYS ago; at most MAX_DAYS before `to`
+ * @param {string} [range.to] - Last day (YYYY-MM-DD), default today
+ * @returns {Promise<{
+ *   from: string, to: string, total: Object,
+ *   days: Array<{day: string, calls: number, promptTokens: number, completionTokens: number, cost: number}>,
+ *   documents: Array<{documentId: string|null, title: string|null, calls: number, promptTokens: number, completionTokens: number, cost: number}>,
+ *   budget: {daily: number, monthly: number, today: number, month: number}
+ * }>} Days newest first, documents by cost
+ */
+async function summarize({ from, to } = {}) {
+    const daysBefore = (day, count) => new Date(Date.parse(day) - count * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    to ||= new Date().toISOString().slice(0, 10);
+    from ||= daysBefore(to, DEFAULT_DAYS - 1);
+    if (from < daysBefore(to, MAX_DAYS - 1)) from = daysBefore(to, MAX_DAYS - 1);
+    const records = await repository.getUsage({ from, to });
+
+    const days = group(records, r => r.day).map(([day, items]) => ({ day, ...totals(items) }))
+        .sort((a, b) => b.day.localeCompare(a.day));
+
+    // Calls without a document are exercise generations
+    const documents = await Promise.all(group(records, r => r.documentId).map(async ([documentId, items]) => ({
+        documentId,
+        title: documentId ? (await repository.getDocument(documentId))?.title ?? null : null,
+        ...totals(items),
+    })));
+    documents.sort((a, b) => b.cost - a.cost);
+
+    return {
+        from,
+        to,
+        total: totals(records),
+        days,
+        documents,
+        budget: { daily: BUDGET_DAILY_USD, monthly: BUDGET_MONTHLY_USD, ...await spending() },
+    };
+}
+
+function group(records, keyOf) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyOf(record) ?? null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+    return [...groups];
+}
+
+function totals(records) {
+    return {
+        calls: records.length,
+        promptTokens: sum(records, 'promptTokens'),
+        completionTokens: sum(records, 'completionTokens'),
+        cost: sum(records, 'cost'),
+    };
+}
+
+function sum(records, field) {
+    return records.reduce((total, record) => total + (record[field] || 0), 0);
+}
+
+module.exports = {
+    BUDGET_EXCEEDED,
+    costOf,
+    record,
+    assertWithinBudget,
+    summarize,
+};
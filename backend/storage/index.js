@@ -0,0 +1,125 @@
+/**
+ * Klar – Storage backends behind the repository
+ *
+ * A backend stores the collections below as plain records. The repository only
+ * talks to this interface (every method returns a promise):
+ *   find(collection, where)     all records matching `where` (insertion order)
+ *   findOne(collection, where)  first match or null
+ *   put(collection, record)     insert, or replace the record with the same key
+ *   remove(collection, where)   delete matches, returns their number
+ *   transaction(fn)             run fn(tx) all-or-nothing; tx has the methods above
+ *   dump() / load(data)         whole database as one object (backups, migrations)
+ *   close()
+ * `where` compares fields for equality (null matches missing values); fields set to
+ * undefined are ignored, so `{ userId: undefined }` matches every record. Only key and
+ * index fields can be queried, so every lookup is indexed in SQLite.
+ *
+ * Operations run one after another; a transaction holds off all other callers until it ends.
+ */
+const { STORAGE, DB_PATH, SQLITE_PATH } = require('../config');
+const { createJsonStorage } = require('./json');
+
+const COLLECTIONS = {
+    documents: { key: ['id'], indexes: ['userId'] },
+    contents: { key: ['documentId'], indexes: [] },
+    attempts: { key: ['documentId', 'number'], indexes: [] },
+    cards: { key: ['id'], indexes: ['userId', 'key'] },
+    users: { key: ['id'], indexes: ['username'] },
+    sessions: { key: ['id'], indexes: ['userId'] },
+    jobs: { key: ['id'], indexes: ['userId', 'status'] },
+    reviewCache: { key: ['key'], indexes: ['userId'] },
+    usage: { key: ['id'], indexes: ['day'] },
+    prompts: { key: ['name', 'version'], indexes: [] },
+    exercises: { key: ['id'], indexes: ['set'] },
+};
+
+const BACKENDS = {
+    json: options => createJsonStorage(options.path || DB_PATH, options),
+    // Loaded on demand, so the JSON backend also works where the native SQLite module is missing
+    sqlite: options => require('./sqlite').createSqliteStorage(options.path || SQLITE_PATH, options),
+};
+
+/**
+ * Open a storage backend
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.backend=STORAGE]
+ * @param {string} [options.path] - Database file (default: DB_PATH or SQLITE_PATH)
+ * @param {number} [options.version] - Schema version stamped on a new, empty database
+ * @returns {Promise<Object>} Storage (see interface above)
+ */
+async function openStorage({ backend = STORAGE, ...options } = {}) {
+    const adapter = BACKENDS[backend]({ ...options, collections: COLLECTIONS });
+    await adapter.open();
+    return serialize(adapter);
+}
+
+/** Throw on unknown collections and on fields that are neither key nor index */
+function checkWhere(collection, where = {}) {
+    const definition = COLLECTIONS[collection];
+    if (!definition) {
+        throw new Error(`Unknown collection: ${collection}`);
+    }
+    const fields = [...definition.key, ...definition.indexes];
+    const unknown = Object.keys(where).find(field => !fields.includes(field));
+    if (unknown) {
+        throw new Error(`${collection}.${unknown} is not indexed`);
+    }
+}
+
+/** Only fields with a value take part in a query */
+function defined(where = {}) {
+    return Object.fromEntries(Object.entries(where).filter(([, value]) => value !== undefined));
+}
+
+/** Queue all operations of a raw adapter and wrap transactions in begin/commit/rollback */
+function serialize(adapter) {
+    let queue = Promise.resolve();
+    const run = task => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const operations = {
+        find: (collection, where) => {
+            checkWhere(collection, where);
+            return adapter.find(collection, defined(where));
+        },
+        findOne: async (collection, where) => (await operations.find(collection, where))[0] || null,
+        put: (collection, record) => {
+            checkWhere(collection);
+            return adapter.put(collection, record);
+        },
+        remove: (collection, where) => {
+            checkWhere(collection, where);
+            return adapter.remove(collection, defined(where));
+        },
+    };
+
+    return {
+        backend: adapter.backend,
+        find: (...args) => run(() => operations.find(...args)),
+        findOne: (...args) => run(() => operations.findOne(...args)),
+        put: (...args) => run(() => operations.put(...args)),
+        remove: (...args) => run(() => operations.remove(...args)),
+        transaction: fn => run(async () => {
+            await adapter.begin();
+            try {
+                const result = await fn(operations);
+                await adapter.commit();
+                return result;
+            } catch (error) {
+                await adapter.rollback();
+                throw error;
+            }
+        }),
+        dump: () => run(() => adapter.dump()),
+        load: data => run(() => adapter.load(data)),
+        close: () => run(() => adapter.close()),
+    };
+}
+
+module.exports = {
+    COLLECTIONS,
+    openStorage,
+};
@@ -0,0 +1,93 @@
+/**
+ * Klar – JSON file storage (lowdb)
+ *
+ * The whole database is one JSON file, kept in memory after the first read.
+ * Every change rewrites the file (atomically, via a temporary file); a transaction
+ * writes once at the end and restores the previous state if it fails.
+ */
+const { Low } = require('lowdb');
+const { JSONFile } = require('lowdb/node');
+
+/**
+ * @param {string} filePath - Database file
+ * @param {Object} options
+ * @param {Object} options.collections - Collection definitions (see storage/index.js)
+ * @param {number} [options.version] - Schema version of a new database
+ * @returns {Object} Raw adapter (see storage/index.js)
+ */
+function createJsonStorage(filePath, { collections, version }) {
+    const empty = () => ({
+        schemaVersion: version,
+        ...Object.fromEntries(Object.keys(collections).map(name => [name, []])),
+    });
+    const db = new Low(new JSONFile(filePath), empty());
+    let snapshot = null;
+
+    const matches = where => record =>
+        Object.entries(where).every(([field, value]) => (record[field] ?? null) === value);
+    const sameKey = (collection, record) => other =>
+        collections[collection].key.every(field => other[field] === record[field]);
+    const save = () => (snapshot ? Promise.resolve() : db.write());
+
+    return {
+        backend: 'json',
+
+        async open() {
+            await db.read();
+        },
+
+        async close() {},
+
+        async find(collection, where) {
+            return (db.data[collection] || []).filter(matches(where)).map(record => structuredClone(record));
+        },
+
+        async put(collection, record) {
+            const records = (db.data[collection] ||= []);
+            const index = records.findIndex(sameKey(collection, record));
+            if (index !== -1) {
+                records.splice(index, 1, structuredClone(record));
+            } else {
+                records.push(structuredClone(record));
+            }
+            await save();
+        },
+
+        async remove(collection, where) {
+            const records = db.data[collection] || [];
+            const kept = records.filter(record => !matches(where)(record));
+            if (kept.length !== records.length) {
+                db.data[collection] = kept;
+                await save();
+            }
+            return records.length - kept.length;
+        },
+
+        async begin() {
+            snapshot = structuredClone(db.data);
+        },
+
+        async commit() {
+            snapshot = null;
+            await db.write();
+        },
+
+        async rollback() {
+            db.data = snapshot;
+            snapshot = null;
+        },
+
+        async dump() {
+            return structuredClone(db.data);
+        },
+
+        async load(data) {
+            db.data = structuredClone(data);
+            await db.write();
+        },
+    };
+}
+
+module.exports = {
+    createJsonStorage,
+};
@@ -0,0 +1,138 @@
+/**
+ * Klar – SQLite storage (better-sqlite3)
+ *
+ * One table per collection: the key and index fields as columns (unique key,
+ * indexed lookups) and the full record as JSON in `data`. The schema version
+ * is kept in PRAGMA user_version. The journal runs in WAL mode, so a crash
+ * loses at most the change being written, never the rest of the file.
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/** Quote an identifier (collection and field names are fixed in storage/index.js) */
+function quote(name) {
+    return `"${name}"`;
+}
+
+/**
+ * @param {string} filePath - Database file
+ * @param {Object} options
+ * @param {Object} options.collections - Collection definitions (see storage/index.js)
+ * @param {number} [options.version] - Schema version of a new database
+ * @returns {Object} Raw adapter (see storage/index.js)
+ */
+function createSqliteStorage(filePath, { collections, version }) {
+    let db = null;
+    const statements = new Map();
+
+    const columnsOf = collection => [...collections[collection].key, ...collections[collection].indexes];
+    const prepare = sql => {
+        if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+        return statements.get(sql);
+    };
+    const whereClause = where => {
+        const fields = Object.keys(where);
+        return fields.length ? ' WHERE ' + fields.map(field => `${quote(field)} IS ?`).join(' AND ') : '';
+    };
+
+    function createTables() {
+        Object.entries(collections).forEach(([name, { key, indexes }]) => {
+            const columns = [...key, ...indexes].map(quote).join(', ');
+            db.exec(`CREATE TABLE IF NOT EXISTS ${quote(name)} (
+                seq INTEGER PRIMARY KEY,
+                ${columns},
+                data TEXT NOT NULL,
+                UNIQUE (${key.map(quote).join(', ')})
+            )`);
+            indexes.forEach(field => {
+                db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${name}_${field}`)} ON ${quote(name)} (${quote(field)})`);
+            });
+        });
+    }
+
+    function insert(collection, record) {
+        const { key } = collections[collection];
+        const columns = columnsOf(collection);
+        const updates = [...columns.filter(field => !key.includes(field)), 'data']
+            .map(field => `${quote(field)} = excluded.${quote(field)}`);
+        prepare(`INSERT INTO ${quote(collection)} (${[...columns, 'data'].map(quote).join(', ')})
+            VALUES (${[...columns, 'data'].map(() => '?').join(', ')})
+            ON CONFLICT (${key.map(quote).join(', ')}) DO UPDATE SET ${updates.join(', ')}`)
+            .run(...columns.map(field => record[field] ?? null), JSON.stringify(record));
+    }
+
+    function selectAll(collection, where = {}) {
+        return prepare(`SELECT data FROM ${quote(collection)}${whereClause(where)} ORDER BY seq`)
+            .all(...Object.values(where))
+            .map(row => JSON.parse(row.data));
+    }
+
+    return {
+        backend: 'sqlite',
+
+        async open() {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            db = new Database(filePath);
+            db.pragma('journal_mode = WAL');
+            db.pragma('synchronous = NORMAL');
+
+            const isNew = !db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table'").get();
+            createTables();
+            if (isNew && version !== undefined) {
+                db.pragma(`user_version = ${Number(version)}`);
+            }
+        },
+
+        async close() {
+            db.close();
+            statements.clear();
+        },
+
+        async find(collection, where) {
+            return selectAll(collection, where);
+        },
+
+        async put(collection, record) {
+            insert(collection, record);
+        },
+
+        async remove(collection, where) {
+            return prepare(`DELETE FROM ${quote(collection)}${whereClause(where)}`)
+                .run(...Object.values(where)).changes;
+        },
+
+        async begin() {
+            db.exec('BEGIN IMMEDIATE');
+        },
+
+        async commit() {
+            db.exec('COMMIT');
+        },
+
+        async rollback() {
+            if (db.inTransaction) db.exec('ROLLBACK');
+        },
+
+        async dump() {
+            return {
+                schemaVersion: db.pragma('user_version', { simple: true }),
+                ...Object.fromEntries(Object.keys(collections).map(name => [name, selectAll(name)])),
+            };
+        },
+
+        async load(data) {
+            db.transaction(() => {
+                Object.keys(collections).forEach(name => {
+                    db.exec(`DELETE FROM ${quote(name)}`);
+                    (data[name] || []).forEach(record => insert(name, record));
+                });
+                db.pragma(`user_version = ${Number(data.schemaVersion) || 0}`);
+            })();
+        },
+    };
+}
+
+module.exports = {
+    createSqliteStorage,
+};
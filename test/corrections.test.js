@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const corrections = require('../backend/services/corrections');
+
+const edit = (original, replacement) => ({ original, replacement, category: 'grammar', explanation: '' });
+const TEXT = 'Ich wohne seit zwei Jahre in Berlin.';
+
+test('locateEdits keeps the whole snippets of the model', () => {
+    const [located] = corrections.locateEdits(TEXT, [edit('seit zwei Jahre', 'seit zwei Jahren')]);
+    assert.deepEqual(
+        [located.start, located.end, located.original, located.replacement],
+        [10, 25, 'seit zwei Jahre', 'seit zwei Jahren']
+    );
+    assert.deepEqual(corrections.toPairs({ edits: [located] }).map(pair => pair.replacement), ['seit zwei Jahren']);
+});
+
+test('toSegments shows only the changed part of an insertion', () => {
+    const edits = corrections.locateEdits(TEXT, [edit('seit zwei Jahre', 'seit zwei Jahren')]);
+    assert.deepEqual(corrections.toSegments({ submissionText: TEXT, edits }).map(seg => [seg.type, seg.text]), [
+        ['equal', 'Ich wohne seit zwei Jahre'],
+        ['added', 'n'],
+        ['equal', ' in Berlin.'],
+    ]);
+    assert.equal(corrections.toMarkup(TEXT, edits), 'Ich wohne seit zwei Jahre++n++ in Berlin.');
+});
+
+test('widenEdit extends a narrowed edit to the whole word', () => {
+    const narrowed = { start: 25, end: 25, original: '', replacement: 'n', category: 'grammar', explanation: '' };
+    const widened = corrections.widenEdit(TEXT, narrowed);
+    assert.deepEqual([widened.start, widened.end, widened.original, widened.replacement], [20, 25, 'Jahre', 'Jahren']);
+
+    const comma = { start: 19, end: 19, original: '', replacement: ',', category: 'punctuation', explanation: '' };
+    assert.equal(corrections.widenEdit('Ich gehe nach Hause weil ich müde bin.', comma), comma);
+    const whole = corrections.locateEdits(TEXT, [edit('Jahre', 'Jahren')])[0];
+    assert.equal(corrections.widenEdit(TEXT, whole), whole);
+});
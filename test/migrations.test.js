@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// exportUserData() needs a database; use a throwaway one
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'klar-test-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.DB_PATH = path.join(tmpDir, 'db.json');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const { SCHEMA_VERSION, SCHEMA_TOO_NEW, migrate } = require('../backend/migrations');
+
+const COLLECTIONS = ['documents', 'contents', 'attempts', 'cards', 'users', 'sessions', 'jobs', 'reviewCache', 'usage', 'prompts', 'exercises'];
+
+/** A user's backup as the export endpoint writes it: one reviewed document with an attempt */
+async function exportedBackup() {
+    const repository = require('../backend/repository');
+    await repository.initializeDatabase();
+    const doc = await repository.createDocument(`Umzug ${Date.now()}`, { userId: 'u1' });
+    const review = {
+        documentId: doc.id,
+        task: 'Schreiben Sie eine E-Mail.',
+        submissionText: 'Ich wohne seit zwei Jahre in Berlin.',
+        reviewScore: 40,
+        correction: 'Ich wohne seit zwei --Jahre--++Jahren++ in Berlin.',
+        edits: [{ start: 20, end: 25, original: 'Jahre', replacement: 'Jahren', category: 'grammar', explanation: '' }],
+    };
+    await repository.upsertContent(review);
+    await repository.addAttempt(review);
+    return repository.exportUserData('u1');
+}
+
+function fixture(version) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `db-v${version}.json`), 'utf8'));
+}
+
+/** Every field later code relies on, for all fixtures */
+function assertCurrentShape(data) {
+    assert.equal(data.schemaVersion, SCHEMA_VERSION);
+    COLLECTIONS.forEach(name => assert.ok(Array.isArray(data[name]), `${name} is a list`));
+    data.documents.forEach(doc => {
+        assert.ok(['practice', 'exam'].includes(doc.mode));
+        assert.ok(Array.isArray(doc.tags));
+        assert.equal(typeof doc.profile, 'string');
+        assert.ok('topic' in doc && 'exerciseId' in doc);
+    });
+    [...data.contents, ...data.attempts].forEach(record => {
+        ['task', 'submissionText', 'reviewFeedback', 'correction'].forEach(field => assert.equal(typeof record[field], 'string'));
+        ['reviewScore', 'reviewCriteria', 'edits', 'promptVersion', 'contentCoverage', 'droppedEdits'].forEach(field =>
+            assert.ok(field in record, `${field} is present`));
+    });
+    data.contents.forEach(content => {
+        assert.ok(Array.isArray(content.contentPoints));
+        assert.ok('modelAnswer' in content);
+    });
+    data.prompts.forEach(prompt => assert.equal(typeof prompt.builtin, 'boolean'));
+}
+
+test('migrates an unversioned (v0) database', () => {
+    const data = fixture(0);
+    const result = migrate(data);
+
+    assert.equal(result.from, 0);
+    assert.equal(result.applied.length, SCHEMA_VERSION);
+    assertCurrentShape(data);
+    assert.deepEqual(data.documents[0], {
+        id: 'doc1', title: 'Beschwerde', creationDate: '2025-01-10T09:00:00.000Z',
+        mode: 'practice', tags: [], profile: 'telc-b1-email', topic: null, exerciseId: null,
+    });
+    const [content] = data.contents;
+    assert.equal(content.reviewScore, 30);
+    assert.equal(content.reviewFeedback, '');
+    assert.equal(content.edits, null);
+    assert.deepEqual(content.contentPoints, ['Grund für Ihr Schreiben', 'Was ist passiert?', 'Was erwarten Sie?']);
+});
+
+test('migrates a v6 database and keeps exam and review data', () => {
+    const data = fixture(6);
+    const result = migrate(data);
+
+    assert.equal(result.from, 6);
+    assert.equal(result.applied.length, SCHEMA_VERSION - 6);
+    assertCurrentShape(data);
+    const exam = data.documents.find(doc => doc.id === 'doc2');
+    assert.equal(exam.durationMinutes, 30);
+    assert.equal(exam.autoSubmitted, true);
+    assert.equal(data.contents[0].edits.length, 1);
+    assert.equal(data.attempts[0].promptVersion, null);
+    assert.equal(data.attempts[0].droppedEdits, null);
+    assert.deepEqual(data.contents[0].contentPoints, []);
+});
+
+test('marks prompt versions stored without an author as built-in', () => {
+    const data = fixture(12);
+    migrate(data);
+
+    assertCurrentShape(data);
+    assert.deepEqual(data.prompts.map(prompt => [prompt.version, prompt.builtin]), [[1, true], [2, false]]);
+    assert.deepEqual(data.contents[0].contentPoints, ['Ihre Meinung', 'Ein Beispiel']);
+    assert.equal(data.documents[0].profile, 'goethe-b1-forum');
+});
+
+test('migrates a partial backup without attempts', () => {
+    const data = fixture(12);
+    delete data.attempts;
+    migrate(data);
+
+    assertCurrentShape(data);
+    assert.deepEqual(data.attempts, []);
+    assert.equal(data.contents[0].droppedEdits, null);
+});
+
+test('migrates a backup without prompts', () => {
+    const data = fixture(12);
+    delete data.prompts;
+    migrate(data);
+
+    assertCurrentShape(data);
+    assert.deepEqual(data.prompts, []);
+});
+
+test('an export migrates unchanged, also when read as an older backup', async t => {
+    t.mock.method(console, 'log', () => {}); // startup messages
+    const backup = await exportedBackup();
+    const exported = structuredClone(backup);
+    assert.deepEqual(migrate(backup).applied, []);
+    assert.deepEqual(backup, exported);
+
+    backup.schemaVersion = 12;
+    migrate(backup);
+    assert.equal(backup.schemaVersion, SCHEMA_VERSION);
+    ['documents', 'contents', 'attempts', 'cards'].forEach(name => assert.deepEqual(backup[name], exported[name]));
+});
+
+test('widens edits that were stored narrowed to single characters', () => {
+    const data = fixture(12);
+    const text = 'Ich wohne seit zwei Jahre in Berlin.';
+    Object.assign(data.contents[0], {
+        submissionText: text,
+        edits: [{ start: 25, end: 25, original: '', replacement: 'n', category: 'grammar', explanation: '' }],
+    });
+    migrate(data);
+
+    const [edit] = data.contents[0].edits;
+    assert.deepEqual([edit.start, edit.end, edit.original, edit.replacement], [20, 25, 'Jahre', 'Jahren']);
+});
+
+test('migrating twice changes nothing', () => {
+    const data = fixture(0);
+    migrate(data);
+    const once = structuredClone(data);
+    assert.deepEqual(migrate(data).applied, []);
+    assert.deepEqual(data, once);
+});
+
+test('rejects data from a newer schema', () => {
+    assert.throws(() => migrate({ schemaVersion: SCHEMA_VERSION + 1 }), { code: SCHEMA_TOO_NEW });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const corrections = require('../backend/services/corrections');
+const textDiff = require('../backend/services/text-diff');
+
+/** A review as openai.reviewContent builds it from the model's raw edits */
+function review(submissionText, rawEdits) {
+    const { edits, dropped } = corrections.anchorEdits(submissionText, rawEdits);
+    return { submissionText, edits, droppedEdits: dropped, correction: corrections.toMarkup(submissionText, edits) };
+}
+
+const edit = (original, replacement) => ({ original, replacement, category: 'grammar', explanation: '' });
+
+test('diffWords marks changed words and ignores whitespace', () => {
+    const { segments, stats } = textDiff.diffWords('Ich habe gestern\ngearbeitet.', 'Ich  bin heute gearbeitet.');
+    assert.deepEqual(segments, [
+        { type: 'equal', text: 'Ich  ' },
+        { type: 'removed', text: 'habe gestern' },
+        { type: 'added', text: 'bin heute' },
+        { type: 'equal', text: ' gearbeitet.' },
+    ]);
+    assert.deepEqual(stats, { added: 2, removed: 2, unchanged: 2 });
+});
+
+test('checkCorrection accepts structured edits on text containing "++" and "--"', () => {
+    const text = 'Ich lerne C++ und Java++ seit zwei Jahre. Um 10--11 Uhr habe ich Kurs.';
+    const check = textDiff.checkCorrection(review(text, [edit('seit zwei Jahre', 'seit zwei Jahren')]));
+    assert.equal(check.consistent, true);
+    assert.deepEqual(check.changes, []);
+    assert.deepEqual(check.droppedEdits, []);
+});
+
+test('checkCorrection reports edits of text that is not in the submission', () => {
+    const text = 'Der Kurs war langweilich.';
+    const check = textDiff.checkCorrection(review(text, [
+        edit('langweilich', 'langweilig'),
+        edit('Der Unterricht war', 'Der Kurs war'),
+    ]));
+    assert.equal(check.consistent, false);
+    assert.deepEqual(check.droppedEdits.map(e => e.original), ['Der Unterricht war']);
+});
+
+test('checkCorrection reports structured edits whose offsets do not match the text', () => {
+    const source = review('Der Kurs war langweilich.', [edit('langweilich', 'langweilig')]);
+    source.submissionText = 'Der Kurs war sehr langweilich.';
+    assert.equal(textDiff.checkCorrection(source).misplacedEdits, 1);
+});
+
+test('checkCorrection compares legacy markup with the submission', () => {
+    const submissionText = 'Ich habe gegangen nach Hause.';
+    assert.equal(textDiff.checkCorrection({ submissionText, correction: 'Ich --habe--++bin++ gegangen nach Hause.' }).consistent, true);
+
+    const check = textDiff.checkCorrection({ submissionText, correction: 'Ich --habe--++bin++ nach Hause gegangen!' });
+    assert.equal(check.consistent, false);
+    assert.ok(check.changes.some(change => change.text.includes('gegangen')));
+});
+
+test('checkCorrection is null without a correction', () => {
+    assert.equal(textDiff.checkCorrection({ submissionText: 'Text', correction: '' }), null);
+});
+
+test('repeatedMistakes finds corrections made again in the newer attempt', () => {
+    const older = review('Ich habe gegangen. Der Kurs war langweilich.', [edit('Ich habe gegangen', 'Ich bin gegangen'), edit('langweilich', 'langweilig')]);
+    const newer = review('Ich habe gegangen. Der Kurs war langweilig.', [edit('Ich habe gegangen', 'Ich bin gegangen')]);
+    assert.deepEqual(textDiff.repeatedMistakes(older, newer).map(m => m.original), ['Ich habe gegangen']);
+});